@@ -24,6 +24,11 @@ module.exports = function(grunt) {
         src: ['amd-header.js', 'src/**/*.js', 'amd-footer.js'],
         dest: release
       },
+      // The tree model and HGrid, without the vendored dependencies
+      nodeps: {
+        src: ['src/hgrid-tree.js', 'src/hgrid.js'],
+        dest: 'dist/hgrid-nodeps.js'
+      },
       options: {
         banner: '<%= meta.banner %>'
       }
@@ -31,7 +36,7 @@ module.exports = function(grunt) {
 
     // Lint definitions
     jshint: {
-      files: ['src/hgrid.js'],
+      files: ['src/hgrid-tree.js', 'src/hgrid.js'],
       options: {
         jshintrc: '.jshintrc'
       }
@@ -44,7 +49,7 @@ module.exports = function(grunt) {
         dest: minRelease
       },
       nodepTarget: {
-        src: 'src/hgrid.js',
+        src: ['src/hgrid-tree.js', 'src/hgrid.js'],
         dest: 'dist/hgrid-nodeps.min.js'
       },
       options: {
@@ -68,8 +73,8 @@ module.exports = function(grunt) {
     copy: {
       main: {
         files: [{
-          src: 'src/hgrid.js',
-          dest: 'dist/hgrid-nodeps.js'
+          src: 'src/hgrid-tree.js',
+          dest: 'dist/hgrid-tree.js'
         }, {
           src: 'src/hgrid.css',
           dest: 'dist/hgrid.css'
@@ -43,11 +43,8 @@ this.Draggable = (function($, HGrid) {
       throw new HGrid.Error(message);
     },
     canDrag: function(item) {
-      // disable dragging folder's for now
-      if (item.kind === HGrid.FOLDER) {
-        return false;
-      }
-      return true;
+      // Depends on the item's kind; folders can't be dragged by default
+      return this.grid.getKind(item).draggable;
     },
     /**
      * Return false if folder should not be allowed as a drop target.
@@ -94,7 +91,6 @@ this.Draggable = (function($, HGrid) {
   Draggable.prototype.init = function(grid) {
     var self = this;
     self.grid = grid;
-    var data = grid.getData();
     var dataView = grid.getDataView();
     var slickgrid = grid.grid;
 
@@ -154,31 +150,16 @@ this.Draggable = (function($, HGrid) {
         return false;
       }
 
-      var newItems;
-      // ID of the folder to transfer the items to
-      if (self._folderTarget) {
-        var parentID = self._folderTarget.id;
-        // Copy the moved items, but change the parentID to the target folder's ID
-        newItems = movedItems.map(function(item) {
-          var newItem = $.extend({}, item);
-          newItem.parentID = parentID;
-          // remove depth and _node properties
-          // these will be set upon adding the item to the grid
-          delete newItem.depth;
-          delete newItem._node;
-          return newItem;
-        });
-      } else{
-        newItems = [];
-      }
-
       if (self.options.enableMove) {
-        // Remove dragged items from grid
-        for (i = 0, item = null; item = movedItems[i]; i++) {
-          grid.removeItem(item.id);
+        // Move dragged items, along with their contents, to the target folder.
+        // The moves are undone as one operation.
+        if (self._folderTarget) {
+          grid.transaction(function() {
+            for (var j = 0, movedItem; movedItem = movedItems[j]; j++) {
+              grid.moveItem(movedItem.id, self._folderTarget.id);
+            }
+          });
         }
-        // Add items at new location
-        grid.addItems(newItems);
 
         slickgrid.resetActiveCell();
         slickgrid.setSelectedRows([]);
@@ -195,7 +176,7 @@ this.Draggable = (function($, HGrid) {
       }
 
       dd.row = cell.row;
-      if (!data[dd.row]) {
+      if (!dataView.getItem(dd.row)) {
         return;
       }
 
@@ -226,7 +207,7 @@ this.Draggable = (function($, HGrid) {
       // First check if the dragged over item is an empty folder
       var prev = dataView.getItemByIdx(index - 1);
       var parent;
-      if (prev.kind === HGrid.FOLDER) {
+      if (grid.getKind(prev).container) {
         parent = prev;
       } else{  // The item being dragged over is an item; get it's parent folder
         var nItems = dataView.getItems().length;
@@ -268,7 +249,8 @@ this.Draggable = (function($, HGrid) {
 
         // Check if folder can accept drop
         // NOTE: canAccept must return false to disallow dropping, not just a falsy value
-        if (self.options.canAcceptDrop.call(self, movedItems, parent) === false) {
+        if ((parent && !grid.getKind(parent).drops) ||
+            self.options.canAcceptDrop.call(self, movedItems, parent) === false) {
           self.clearTarget();
           grid.removeHighlight();
           return false;
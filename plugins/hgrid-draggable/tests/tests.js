@@ -76,6 +76,25 @@
     equal(draggable.grid, myGrid, 'plugin has access to the grid');
   });
 
+  test('dragging and dropping depend on the item kind', function() {
+    HGrid.registerKind('archive', {container: true, drops: false});
+    var grid = getMockGrid({data: [
+      {name: 'Docs', kind: HGrid.FOLDER, id: 'docs', children: []},
+      {name: 'old.zip', kind: 'archive', id: 'old', children: []},
+      {name: 'mydoc.txt', kind: HGrid.ITEM, id: 'mydoc'}
+    ]});
+    var plugin = new HGrid.Draggable();
+    grid.registerPlugin(plugin);
+    isFalse(plugin.options.canDrag.call(plugin, grid.getByID('docs')), 'folders are not draggable');
+    isTrue(plugin.options.canDrag.call(plugin, grid.getByID('mydoc')), 'items are draggable');
+    triggerSlick(plugin.rowMoveManager.onDragRows, {items: [grid.getByID('mydoc')], insertBefore: 1});
+    equal(plugin._folderTarget.id, 'docs', 'folder accepts drops');
+    triggerSlick(plugin.rowMoveManager.onDragRows, {items: [grid.getByID('mydoc')], insertBefore: 2});
+    equal(plugin._folderTarget, null, 'archive does not accept drops');
+    grid.destroy();
+    delete HGrid.Kinds.archive;
+  });
+
   var draggable; // Draggable plugin
   var onDragSpy, onDropSpy, acceptDropSpy, canDragSpy;
   module('Callbacks', {
@@ -139,6 +158,36 @@
     equal(acceptDropSpy.callCount, itemsToMove.length, 'acceptDrop called for every moved item');
   });
 
+  test('dropping rows moves items to the target folder', function() {
+    var folder = myGrid.getData()[0];
+    var item = myGrid.getData()[5];  // bar.mp3, in the Music folder
+    var node = item._node;
+    var oldLength = myGrid.getData().length;
+    draggable.setTarget(folder);
+    triggerSlick(draggable.rowMoveManager.onMoveRows, {
+      rows: [5],
+      items: [item]
+    });
+    equal(myGrid.getData().length, oldLength, 'no rows were added or removed');
+    strictEqual(myGrid.getNodeByID(item.id), node, 'node was moved, not recreated');
+    equal(node.parentID, folder.id, 'node has new parent');
+  });
+
+  test('dropped rows are moved back in one undo', function() {
+    var folder = myGrid.getData()[0];
+    var items = [myGrid.getData()[3], myGrid.getData()[5]];  // mydoc.txt and bar.mp3
+    var parentIDs = items.map(function(item) { return item.parentID; });
+    draggable.setTarget(folder);
+    triggerSlick(draggable.rowMoveManager.onMoveRows, {
+      rows: [3, 5],
+      items: items
+    });
+    myGrid.undo();
+    deepEqual(items.map(function(item) { return myGrid.getByID(item.id).parentID; }), parentIDs,
+      'all items are moved back');
+    isFalse(myGrid.canUndo(), 'the drop is a single operation');
+  });
+
   module('Error handling', {});
 
   test('droperror', function() {
@@ -0,0 +1,2123 @@
+/**
+ * Provides the tree model behind HGrid: HGridTree.Tree and HGridTree.Leaf.
+ * The model has no DOM, jQuery, or SlickGrid dependency, so it can be used
+ * on its own, e.g. in Node. HGrid binds it to a SlickGrid DataView.
+ * @module HGridTree
+ */
+this.HGridTree = (function() {
+  'use strict';
+
+  var ROOT_ID = 'root';
+  var ITEM = 'item';
+  var FOLDER = 'folder';
+  var ALIAS = 'alias';
+  // Names of the data fields that hold a node's id, name, kind, children, and
+  // parent id (in flat lists), and the values of the kind field for folders
+  // and items
+  var DEFAULT_FIELDS = {
+    id: 'id', name: 'name', kind: 'kind', children: 'children', parentID: 'parentID',
+    folder: FOLDER, item: ITEM
+  };
+  // Lazy-loading statuses of a tree's contents, stored as its `_load_status`
+  var LOADING_UNFINISHED = 'lu';
+  var LOADING_STARTED = 'ls';
+  var LOADING_FINISHED = 'lf';
+  function noop() {}
+
+  // Copy the properties of the other arguments onto `target`
+  function extend(target) {
+    for (var i = 1, len = arguments.length; i < len; i++) {
+      var source = arguments[i];
+      for (var key in source) {
+        if (source.hasOwnProperty(key)) {
+          target[key] = source[key];
+        }
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Custom Error for errors in the tree model and HGrid.
+   *
+   * @class  HGridTree.Error
+   * @constructor
+   */
+  function TreeError(message) {
+    Error.call(this, message);
+    this.name = 'HGrid.Error';
+    this.message = message || '';
+  }
+  TreeError.prototype = Object.create(Error.prototype);
+
+  /**
+   * Registered item kinds, by name. The model only uses whether a kind is a
+   * `container`; HGrid adds how each kind is displayed. See
+   * `HGrid.registerKind`.
+   */
+  var KINDS = {};
+  KINDS[FOLDER] = {name: FOLDER, container: true};
+  KINDS[ITEM] = {name: ITEM, container: false};
+  // Aliases refer to another node by the `target` id in their data. See aliasTarget.
+  KINDS[ALIAS] = {name: ALIAS, container: false};
+
+  /////////////////////
+  // Data Structures //
+  /////////////////////
+
+  var idCounter = 0; // Ensure unique IDs among trees and leaves
+  function getUID() {
+    return idCounter++;
+  }
+
+  // Move the id counter past an explicit numeric id, so that generated ids
+  // never reuse it
+  function reserveID(id) {
+    if (typeof id === 'number' && id >= idCounter) {
+      idCounter = Math.floor(id) + 1;
+    }
+  }
+
+  // Complete a partial field mapping with the default field names
+  function resolveFields(fields) {
+    return fields ? extend({}, DEFAULT_FIELDS, fields) : DEFAULT_FIELDS;
+  }
+
+  // The kind that the data for a node describe: FOLDER, ITEM, or the name of
+  // a registered kind (see `HGrid.registerKind`). Returns `fallback` if the
+  // kind is unknown.
+  function dataKind(data, fields, fallback) {
+    var kind = data[fields.kind];
+    if (kind === fields.folder) {
+      return FOLDER;
+    }
+    if (kind === fields.item) {
+      return ITEM;
+    }
+    return KINDS.hasOwnProperty(kind) ? kind : fallback;
+  }
+
+  // Whether the data for a node describe an item rather than a folder or
+  // another container
+  function isItemData(data, fields) {
+    return !KINDS[dataKind(data, fields, FOLDER)].container;
+  }
+
+  /**
+   * Methods for subscribing to events, mixed into objects that emit them.
+   * Listeners are stored in the object's `_listeners`, by event type.
+   * @private
+   */
+  var Events = {
+    /**
+     * Subscribe to an event.
+     * @method  on
+     * @param {String} type The event type
+     * @param {Function} fn Listener
+     */
+    on: function(type, fn) {
+      var listeners = this._listeners || (this._listeners = {});
+      (listeners[type] || (listeners[type] = [])).push(fn);
+      return this;
+    },
+    /**
+     * Subscribe to the next occurrence of an event only.
+     * @method  once
+     * @param {String} type The event type
+     * @param {Function} fn Listener
+     */
+    once: function(type, fn) {
+      var self = this;
+      var wrapper = function() {
+        self.off(type, wrapper);
+        return fn.apply(this, arguments);
+      };
+      wrapper.listener = fn;
+      return this.on(type, wrapper);
+    },
+    /**
+     * Unsubscribe from an event. Removes all listeners for the type if `fn`
+     * is not given, or all listeners if no arguments are given.
+     * @method  off
+     * @param {String} [type] The event type
+     * @param {Function} [fn] Listener
+     */
+    off: function(type, fn) {
+      if (!this._listeners) {
+        return this;
+      }
+      if (type == null) {
+        this._listeners = {};
+      } else if (!fn) {
+        delete this._listeners[type];
+      } else if (this._listeners[type]) {
+        this._listeners[type] = this._listeners[type].filter(function(listener) {
+          return listener !== fn && listener.listener !== fn;
+        });
+      }
+      return this;
+    }
+  };
+
+  /**
+   * Call an object's listeners for an event type, with `target` as `this`.
+   * @private
+   */
+  function fire(target, type, args) {
+    var listeners = target._listeners && target._listeners[type];
+    if (listeners) {
+      // Copy, in case a listener unsubscribes
+      listeners = listeners.slice();
+      for (var i = 0, len = listeners.length; i < len; i++) {
+        listeners[i].apply(target, args);
+      }
+    }
+  }
+  /**
+   * A tree node. If constructed with no args, the node is
+   * considered a root,
+   *
+   * ```
+   * var root = new HGridTree.Tree();
+   * root.depth // => 0
+   * var subtree = new Tree({name: 'A subtree', kind: 'folder'});
+   * root.add(subtree);
+   * subtree.depth  // => 1
+   * ```
+   *
+   * @class HGridTree.Tree
+   * @constructor
+   * @param {Object} data Data to attach to the tree
+   * @param {Object} [fields] Field mapping. See `Tree.fromObject`.
+   */
+  function Tree(data, fields) {
+    if (data === undefined) { // No args passed, it's a root
+      this.data = {};
+      this.id = ROOT_ID;
+      this.kind = FOLDER;
+      /**
+       * @attribute  depth
+       * @type {Number}
+       */
+      this.depth = 0;
+    } else {
+      fields = fields || DEFAULT_FIELDS;
+      var id = data[fields.id];
+      this.data = data;
+      this.id = id != null ? id : getUID();
+      this.kind = dataKind(data, fields, FOLDER);
+      // Depth will be set by parent after being added as a subtree
+      this.depth = null;
+    }
+    /**
+     * Object that displays the tree, such as HGrid's DataView, or null. Shared
+     * by all nodes in the same tree: nodes are given their parent's view when
+     * they are added. See `ensureView`.
+     * @attribute  view
+     */
+    this.view = null;
+    this.children = [];
+    this.parentID = null;
+    /**
+     * Map of ids to nodes, shared by every node in the same tree. A new tree
+     * starts with its own index, which is merged into its parent's upon
+     * being added as a subtree.
+     * @attribute  nodeIndex
+     * @type {Object}
+     */
+    this.nodeIndex = {};
+    this.nodeIndex[this.id] = this;
+    /**
+     * Node comparator from the last sort, if any. Used to keep added nodes in
+     * sorted order.
+     * @attribute  sortComparator
+     * @type {Function}
+     */
+    this.sortComparator = null;
+    /**
+     * Whether the tree's contents are collapsed. This is the source of truth
+     * for the view state; a view only mirrors it.
+     * @attribute  _collapsed
+     * @type {Boolean}
+     */
+    this._collapsed = Boolean(this.data._collapsed);
+    /**
+     * Whether the tree itself is hidden, e.g. because an ancestor is collapsed.
+     * @attribute  _hidden
+     * @type {Boolean}
+     */
+    this._hidden = Boolean(this.data._hidden);
+    /**
+     * Lazy-loading status of the tree's contents, e.g.
+     * `HGridTree.LOADING_FINISHED`. Unset until loading starts.
+     * @attribute  _load_status
+     * @type {String}
+     */
+    if (this.data._load_status) {
+      this._load_status = this.data._load_status;
+    }
+    /**
+     * Whether the tree's contents were unloaded and have not been added
+     * again. See `unload`.
+     * @attribute  _unloaded
+     * @type {Boolean}
+     */
+    this._unloaded = false;
+  }
+  // Trees emit node events. See `notify`.
+  Tree.prototype.on = Events.on;
+  Tree.prototype.once = Events.once;
+  Tree.prototype.off = Events.off;
+
+  /**
+   * Construct a new Tree from either an object or an array of data.
+   *
+   * Example input:
+   * ```
+   * [{name: 'Documents', kind: 'folder',
+   *  children: [{name: 'mydoc.txt', type: 'item'}]},
+   *  {name: 'rootfile.txt', kind: 'item'}
+   *  ]
+   *  ```
+   *
+   * If the data use other field names, pass a field mapping as `args.fields`,
+   * e.g. `{kind: 'type', folder: 'dir', item: 'file', children: 'contents'}`.
+   * The mapping may have `id`, `name`, `kind`, and `children` field names,
+   * and `folder` and `item` values of the kind field.
+   *
+   * This and the other builders below are the static methods of each tree
+   * type, e.g. `Tree.fromObject(data)`. See `defineBuilders`.
+   *
+   * @method fromObject
+   * @static
+   * @param {Object} data
+   * @param {parent} [parent] Parent item.
+   * @param {Object} [args] `collapse`: Whether to collapse the new nodes.
+   *                        `fields`: Field mapping.
+   */
+  function fromObject(TreeType, data, parent, args) {
+    args = args || {};
+    var fields = resolveFields(args.fields);
+    var tree, children, leaf, subtree;
+    // If data is an array, create a new root
+    if (Array.isArray(data)) {
+      tree = new TreeType();
+      children = data;
+    } else { // data is an object, create a subtree
+      children = data[fields.children] || [];
+      tree = new TreeType(data, fields);
+      tree.depth = parent.depth + 1;
+      tree.view = parent.view;
+      // The subtree keeps its own node index until it is added to the parent,
+      // so that events are not emitted on the parent before then
+      if (args.collapse) {
+        tree._collapsed = true;
+      }
+    }
+    // Assumes nodes have a `kind` property. If `kind` is "item", create a leaf,
+    // else create a Tree.
+    for (var i = 0, len = children.length; i < len; i++) {
+      var child = children[i];
+      if (isItemData(child, fields)) {
+        leaf = TreeType.Leaf.fromObject(child, tree, args);
+        tree.add(leaf);
+      } else {
+        subtree = fromObject(TreeType, child, tree, args);
+        tree.add(subtree);
+      }
+    }
+    return tree;
+  }
+
+  /**
+   * Construct a new Tree from a flat list of rows that reference their parents
+   * by `parentID` (or the `parentID` field of `args.fields`), e.g. rows from a
+   * database table. Rows may be in any order.
+   * Rows whose `parentID` is null or `HGridTree.ROOT_ID` are added to the root.
+   *
+   * ```
+   * [{id: 1, name: 'Documents', kind: 'folder'},
+   *  {id: 2, name: 'mydoc.txt', kind: 'item', parentID: 1},
+   *  {id: 3, name: 'rootfile.txt', kind: 'item'}]
+   * ```
+   *
+   * Throws an `HGridTree.Error` if a row's parent does not exist or if the parent
+   * references contain a cycle.
+   * @method fromList
+   * @param {Array} rows
+   * @param {Object} [args] Same as for `Tree.fromObject`.
+   */
+  function fromList(TreeType, rows, args) {
+    return fromObject(TreeType, nestRows(rows, null, resolveFields(args && args.fields)), null, args);
+  }
+
+  /**
+   * Convert a flat list of rows to nested data that `Tree.fromObject` accepts.
+   * Rows are copied; the input is not modified.
+   * @param {Array} rows
+   * @param [parentID] ID of the folder the rows are added to. Rows with this
+   *                   `parentID` are placed at the top level.
+   * @param {Object} fields Field mapping
+   */
+  function nestRows(rows, parentID, fields) {
+    var idField = fields.id;
+    var childField = fields.children;
+    var parentField = fields.parentID;
+    var byID = {};
+    var parentOf = {};
+    var nested = [];
+    var orphans = [];
+    var row, id, pid, i, len;
+    for (i = 0, len = rows.length; i < len; i++) {
+      row = extend({}, rows[i]);
+      id = row[idField];
+      if (id == null) {
+        throw new TreeError('Row at index ' + i + ' has no id.');
+      }
+      if (byID.hasOwnProperty(id)) {
+        throw new TreeError('Duplicate row id "' + id + '".');
+      }
+      // The hierarchy is stored on the nodes, so the parent references are
+      // not kept in the data
+      parentOf[id] = row[parentField];
+      delete row[parentField];
+      if (!isItemData(row, fields)) {
+        row[childField] = [];
+      }
+      byID[id] = row;
+    }
+    for (i = 0; i < len; i++) {
+      id = rows[i][idField];
+      row = byID[id];
+      pid = parentOf[id];
+      if (pid == null || pid === ROOT_ID || (parentID != null && String(pid) === String(parentID))) {
+        nested.push(row);
+      } else if (!byID.hasOwnProperty(pid)) {
+        orphans.push(id);
+      } else if (isItemData(byID[pid], fields)) {
+        throw new TreeError('Parent of row "' + id + '" is not a folder.');
+      } else {
+        byID[pid][childField].push(row);
+      }
+    }
+    if (orphans.length) {
+      throw new TreeError('Rows have missing parents: ' + orphans.join(', ') + '.');
+    }
+    // Rows that cannot be reached from the top level are part of a cycle,
+    // or descend from one
+    var reached = {};
+    var stack = nested.slice();
+    while (stack.length) {
+      row = stack.pop();
+      reached[row[idField]] = true;
+      for (var j = 0; row[childField] && j < row[childField].length; j++) {
+        stack.push(row[childField][j]);
+      }
+    }
+    for (i = 0; i < len; i++) {
+      if (!reached[rows[i][idField]]) {
+        var cycle = [];
+        id = rows[i][idField];
+        while (cycle.indexOf(id) === -1) {
+          cycle.push(id);
+          id = byID[parentOf[id]][idField];
+        }
+        cycle = cycle.slice(cycle.indexOf(id)).concat([id]);
+        throw new TreeError('Cycle in parent references: ' + cycle.join(' -> ') + '.');
+      }
+    }
+    return nested;
+  }
+
+  /**
+   * Construct a new Tree from a list of paths. Each entry is either a path
+   * string or an object with a `path` property; the object's other properties
+   * are attached to the node. Paths that end with the separator are folders,
+   * and intermediate folders are created as needed.
+   *
+   * ```
+   * HGridTree.Tree.fromPaths(['a/b/c.txt', 'a/d/', {path: 'e.md', size: 12}]);
+   * ```
+   *
+   * Each node's id is its path, prefixed with the separator (e.g. `"/a/b"`),
+   * so the same path always maps to the same node.
+   * @method fromPaths
+   * @param {Array} paths
+   * @param {Object} [options] `separator`: The path separator. Defaults to "/".
+   *                           `fields`: Field mapping, as for `Tree.fromObject`.
+   */
+  function fromPaths(TreeType, paths, options) {
+    var fields = resolveFields(options && options.fields);
+    return fromObject(TreeType, nestPaths(paths, extend({}, options, {fields: fields})), null,
+      {fields: fields});
+  }
+
+  /**
+   * Whether `data` is a list of path strings.
+   */
+  function isPathList(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(function(entry) {
+      return typeof entry === 'string';
+    });
+  }
+
+  /**
+   * Convert a list of paths to nested data that `Tree.fromObject` accepts.
+   * See `Tree.fromPaths`.
+   * @param {Array} paths
+   * @param {Object} [options] `separator`, `fields`, and `base`: the path of
+   *                           the folder that the paths are relative to.
+   */
+  function nestPaths(paths, options) {
+    options = options || {};
+    var fields = options.fields || DEFAULT_FIELDS;
+    var sep = options.separator || '/';
+    var nonEmpty = function(name) { return name !== ''; };
+    var baseID = (options.base || '').split(sep).filter(nonEmpty).map(function(name) {
+      return sep + name;
+    }).join('');
+    var nested = [];
+    var byID = {};
+    var kindOf = {};
+    for (var i = 0, len = paths.length; i < len; i++) {
+      var entry = typeof paths[i] === 'string' ? {path: paths[i]} : paths[i];
+      if (!entry || typeof entry.path !== 'string') {
+        throw new TreeError('Path entry at index ' + i + ' has no path.');
+      }
+      var names = entry.path.split(sep).filter(nonEmpty);
+      if (!names.length) {
+        throw new TreeError('Path entry at index ' + i + ' is empty.');
+      }
+      var isFolder = entry.path.slice(-sep.length) === sep;
+      var siblings = nested;
+      var id = baseID;
+      var node;
+      for (var j = 0; j < names.length; j++) {
+        var last = j === names.length - 1;
+        var kind = last && !isFolder ? ITEM : FOLDER;
+        id += sep + names[j];
+        node = byID[id];
+        if (!node) {
+          node = byID[id] = {};
+          node[fields.id] = id;
+          node[fields.name] = names[j];
+          node[fields.kind] = fields[kind];
+          if (kind === FOLDER) {
+            node[fields.children] = [];
+          }
+          kindOf[id] = kind;
+          siblings.push(node);
+        } else if (kindOf[id] !== kind) {
+          throw new TreeError('Path "' + entry.path + '" conflicts with the ' +
+            kindOf[id] + ' at "' + id + '".');
+        }
+        siblings = node[fields.children];
+      }
+      // Attach the metadata. The id, name, and kind are given by the path.
+      var metadata = extend({}, entry);
+      delete metadata.path;
+      delete metadata[fields.id];
+      delete metadata[fields.name];
+      delete metadata[fields.kind];
+      delete metadata[fields.children];
+      extend(node, metadata);
+    }
+    return nested;
+  }
+
+  Tree.resetIDCounter = function() {
+    idCounter = 0;
+  };
+  Tree._getCurrentID = function() {
+    return idCounter;
+  };
+
+  /**
+   * Add a component to this node. If the tree has been sorted, the component
+   * is sorted and inserted at its sorted position; otherwise it is appended.
+   * @method  add
+   * @param component      Either a Tree or Leaf.
+   * @param {Boolean} [updateView] Whether to show the component in the view
+   * @param {Number} [index] Position among this tree's children. Overrides
+   *                         the sorted position.
+   */
+  Tree.prototype.add = function(component, updateView, index) {
+    // Set deptth, parent ID, and view
+    component.parentID = this.id;
+    component._unsortedIndex = null;
+    component.depth = this.depth + 1;
+    component.view = this.view;
+    markLoaded(this);
+    var cmp = this.sortComparator;
+    if (index != null) {
+      this.children.splice(index, 0, component);
+    } else if (cmp) {
+      component.sortCmp(cmp);
+      this.children.splice(sortedIndex(this.children, component, cmp), 0, component);
+    } else {
+      this.children.push(component);
+    }
+    indexSubtree(this.nodeIndex, component);
+    // Hide the component if this tree's contents are hidden
+    if (!this.isRoot() && (this._collapsed || this._hidden)) {
+      component.collapse(true);
+    } else if (component._hidden) {
+      component.expand(true);
+    }
+    if (updateView) {
+      this._viewInsert(component, Boolean(cmp) || index != null);
+    }
+    notify(component, {
+      type: 'nodeAdded',
+      node: component,
+      parent: this,
+      index: this.children.indexOf(component)
+    });
+    return this;
+  };
+
+  /**
+   * Emit a node event, as an object with a `type` and the `node` the event is
+   * about. The event bubbles: it is passed to the listeners of `start`, then of
+   * each of its ancestors.
+   *
+   * Event types:
+   *  - nodeAdded: `parent` and `index`
+   *  - nodeRemoved: `parent`. Bubbles from the parent, since the node is
+   *    detached.
+   *  - nodeMoved: `from` and `to` (the old and new parents), and `index`
+   *  - nodeChanged: `changes`, the updated data fields
+   *  - nodeExpanded, nodeCollapsed
+   * @private
+   */
+  function notify(start, event) {
+    var target = start;
+    while (target) {
+      fire(target, event.type, [event]);
+      target = target.nodeIndex && target.nodeIndex[target.parentID];
+    }
+  }
+
+  /**
+   * Find the index at which to insert a node into a sorted array of nodes,
+   * after any nodes that compare equal to it.
+   * @private
+   */
+  function sortedIndex(nodes, node, cmp) {
+    var low = 0, high = nodes.length;
+    while (low < high) {
+      var mid = (low + high) >>> 1;
+      if (cmp(nodes[mid], node) > 0) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Add a node and, if it belongs to another index, all of its descendants
+   * to a node index. Generated ids will not reuse their numeric ids.
+   * @private
+   */
+  function indexSubtree(index, node) {
+    if (node.nodeIndex === index) {
+      index[node.id] = node;
+      reserveID(node.id);
+      return;
+    }
+    eachNode(node, function(next) {
+      next.nodeIndex = index;
+      index[next.id] = next;
+      reserveID(next.id);
+    });
+  }
+
+  /**
+   * Execute a function once for a node and each of its descendants, parents
+   * before children.
+   * @private
+   */
+  function eachNode(node, fun) {
+    var stack = [node];
+    while (stack.length) {
+      var next = stack.pop();
+      fun(next);
+      for (var i = next.children.length - 1; i >= 0; i--) {
+        stack.push(next.children[i]);
+      }
+    }
+  }
+
+  /**
+   * Detach a single node from its parent, the node index, and the view.
+   * @private
+   */
+  function detach(node) {
+    var index = node.nodeIndex;
+    if (index) {
+      var parent = index[node.parentID];
+      if (parent) {
+        removeByProperty(parent.children, 'id', node.id);
+      }
+      if (index[node.id] === node) {
+        delete index[node.id];
+      }
+    }
+    node._viewRemove();
+    // A detached tree gets a fresh index of its own, as if newly constructed
+    if (node instanceof Tree) {
+      node.nodeIndex = {};
+      node.nodeIndex[node.id] = node;
+    } else {
+      node.nodeIndex = null;
+    }
+  }
+
+  /**
+   * Remove all of this tree's descendants from the tree, the node index, and
+   * the view.
+   * @method  empty
+   * @param {Boolean} [removeSelf] Also remove this tree from its parent.
+   */
+  Tree.prototype.empty = function(removeSelf) {
+    var parent = this.nodeIndex[this.parentID];
+    var children = this.children;
+    detachSubtree(this, !removeSelf);
+    if (removeSelf) {
+      notify(parent, {type: 'nodeRemoved', node: this, parent: parent});
+    } else {
+      for (var i = 0, child; child = children[i]; i++) {
+        notify(this, {type: 'nodeRemoved', node: child, parent: this});
+      }
+    }
+    return this;
+  };
+
+  /**
+   * Drop this tree's descendants, e.g. to free the memory of contents that can
+   * be loaded again. Unlike `empty`, no `nodeRemoved` events are emitted,
+   * since the contents still exist, and aggregates keep the values of the
+   * unloaded contents until nodes are added to the tree again. The
+   * descendants are removed from the node index and the view.
+   * @method  unload
+   * @return {Array} The unloaded children.
+   */
+  Tree.prototype.unload = function() {
+    var children = this.children;
+    detachSubtree(this, true);
+    this._unloaded = true;
+    return children;
+  };
+
+  /**
+   * Clear the unloaded state of a tree (see `unload`) when contents are
+   * added to it, recomputing the aggregates that stood for the unloaded
+   * contents.
+   * @private
+   */
+  function markLoaded(tree) {
+    if (!tree._unloaded) {
+      return;
+    }
+    tree._unloaded = false;
+    for (var top = tree; top; top = top.nodeIndex[top.parentID]) {
+      if (top._aggregation) {
+        aggregateAncestors(tree, top, top._aggregation.definitions);
+      }
+    }
+  }
+
+  /**
+   * Detach a node and all of its descendants, emptying their children.
+   * @private
+   * @param {Boolean} [keepSelf] Only detach the descendants.
+   */
+  function detachSubtree(node, keepSelf) {
+    var children = node.children;
+    if (node instanceof Tree) {
+      node.children = [];
+    }
+    if (!keepSelf) {
+      detach(node);
+    }
+    for (var i = 0, child; child = children[i]; i++) {
+      detachSubtree(child);
+    }
+  }
+
+  // Remove an object from an array, searching by an attribute value
+  function removeByProperty(arr, attr, value){
+    var i = arr.length;
+    while(i--){
+      if(arr[i] && arr[i].hasOwnProperty(attr) && (arguments.length > 2 && arr[i][attr] === value )){
+         arr.splice(i,1);
+         return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Remove a descendant node, along with its subtree.
+   * @param  {Object} child The node to remove or an id.
+   * @return {Object} The removed node, or null if it is not a descendant.
+   */
+  Tree.prototype.remove = function(child) {
+    var childId = typeof child === 'object' ? child.id : child;
+    var node = this.getNodeByID(childId);
+    if (!node || !this.isAncestorOf(node)) {
+      return null;
+    }
+    node.empty(true);
+    return node;
+  };
+
+  /**
+   * Look up a node in the same tree as this one by its id.
+   * @method  getNodeByID
+   * @param {Number} id
+   * @return {Object} The Tree or Leaf with the id, or undefined.
+   */
+  Tree.prototype.getNodeByID = function(id) {
+    return this.nodeIndex[id];
+  };
+
+  /**
+   * @method  isAncestorOf
+   * @param {Object} node A Tree or Leaf
+   * @return {Boolean} Whether `node` is a descendant of this tree.
+   */
+  Tree.prototype.isAncestorOf = function(node) {
+    var parent = node.nodeIndex && node.nodeIndex[node.parentID];
+    while (parent) {
+      if (parent === this) {
+        return true;
+      }
+      parent = parent.nodeIndex[parent.parentID];
+    }
+    return false;
+  };
+
+  /**
+   * Move this tree, along with its subtree, to a new parent.
+   * @method  moveTo
+   * @param {HGridTree.Tree} newParent
+   * @param {Number} [index] Position among the new parent's children. Defaults
+   *                         to the end.
+   */
+  Tree.prototype.moveTo = function(newParent, index) {
+    return moveNode(this, newParent, index);
+  };
+
+  /**
+   * Relocate a node in place. The node keeps its id, data, children and
+   * rows in the view; only its parentID, depth, and visibility change.
+   * @private
+   */
+  function moveNode(node, newParent, index) {
+    if (node.isRoot()) {
+      throw new TreeError('Cannot move the root node.');
+    }
+    if (!(newParent instanceof Tree)) {
+      throw new TreeError('Nodes can only be moved into a Tree.');
+    }
+    if (newParent === node || (node instanceof Tree && node.isAncestorOf(newParent))) {
+      throw new TreeError('Cannot move a node into itself or one of its descendants.');
+    }
+    var oldIndex = node.nodeIndex;
+    // Take the subtree's rows out of the view, to be reinserted at the new location
+    var rows = node._viewTake();
+    var oldParent = oldIndex && oldIndex[node.parentID];
+    if (oldParent) {
+      removeByProperty(oldParent.children, 'id', node.id);
+    }
+    if (index == null && newParent.sortComparator) {
+      index = sortedIndex(newParent.children, node, newParent.sortComparator);
+    } else if (index == null || index > newParent.children.length) {
+      index = newParent.children.length;
+    }
+    markLoaded(newParent);
+    newParent.children.splice(index, 0, node);
+    node.parentID = newParent.id;
+    node._unsortedIndex = null;
+    if (oldIndex !== newParent.nodeIndex) {
+      eachNode(node, function(descendant) {
+        delete oldIndex[descendant.id];
+      });
+      indexSubtree(newParent.nodeIndex, node);
+    }
+    node.ensureView(newParent.view);
+    // Update depths and show or hide the node, depending on the new parent
+    node.depth = newParent.depth + 1;
+    eachNode(node, function(descendant) {
+      for (var j = 0, child; child = descendant.children[j]; j++) {
+        child.depth = descendant.depth + 1;
+      }
+    });
+    if (newParent.isRoot() || !(newParent._collapsed || newParent._hidden)) {
+      node.expand(true);
+    } else {
+      node.collapse(true);
+    }
+    newParent._viewPut(node, rows);
+    notify(node, {
+      type: 'nodeMoved',
+      node: node,
+      from: oldParent,
+      to: newParent,
+      index: index
+    });
+    return node;
+  }
+
+  /**
+   * Reconcile this tree's children with fresh data, of the same form accepted
+   * by `Tree.fromObject`. Children are matched to the data by id, or by name
+   * and kind if the data have no ids. Matched nodes are kept and their changed
+   * fields are updated, children missing from the data are removed, and the
+   * remaining data are added. The view is patched incrementally.
+   *
+   * @method  reconcile
+   * @param {Array} data
+   * @param {Object} [args] Options:
+   *   `collapse`: Collapse added folders (passed to `fromObject`).
+   *   `lazy`: Treat empty `children` arrays as not yet loaded rather than empty.
+   *   `keep`: Function that receives a child node and returns true if the node
+   *           should be kept even though it is missing from the data.
+   * @return {Object} Object with arrays of the `added`, `removed`, and
+   *                  `changed` nodes.
+   */
+  Tree.prototype.reconcile = function(data, args) {
+    args = args || {};
+    var fields = resolveFields(args.fields);
+    var result = {added: [], removed: [], changed: []};
+    var byID = {}, byName = {};
+    var i, child, datum, node, key, children;
+    for (i = 0; child = this.children[i]; i++) {
+      key = reconcileKey(child.data, fields);
+      byID[child.id] = child;
+      byName[key] = byName[key] || child;
+    }
+    var toAdd = [];
+    var matched = {};
+    for (i = 0; datum = data[i]; i++) {
+      node = datum[fields.id] != null ? byID[datum[fields.id]] : byName[reconcileKey(datum, fields)];
+      // Only match nodes of the same type, and only once
+      if (!node || matched.hasOwnProperty(node.id) ||
+          (node instanceof Leaf) !== isItemData(datum, fields)) {
+        toAdd.push(datum);
+        continue;
+      }
+      matched[node.id] = true;
+      if (patchNode(node, datum, fields.children)) {
+        result.changed.push(node);
+      }
+      children = datum[fields.children];
+      if (node instanceof Tree && Array.isArray(children) &&
+          !(args.lazy && children.length === 0)) {
+        mergeResults(result, node.reconcile(children, args));
+      }
+    }
+    // Remove children that are no longer in the data
+    for (i = this.children.length - 1; i >= 0; i--) {
+      child = this.children[i];
+      if (!matched.hasOwnProperty(child.id) && !(args.keep && args.keep(child))) {
+        result.removed.push(this.remove(child));
+      }
+    }
+    var updateView = this.isRoot() || this._isInView();
+    var Type = this.constructor;
+    for (i = 0; datum = toAdd[i]; i++) {
+      node = isItemData(datum, fields) ? Type.Leaf.fromObject(datum, this, args) :
+                                         Type.fromObject(datum, this, args);
+      if (this._collapsed || this._hidden) {
+        node.collapse(true);
+      }
+      this.add(node, updateView);
+      result.added.push(node);
+    }
+    markLoaded(this); // Even if the contents are empty
+    return result;
+  };
+
+  // Key used to match data to existing nodes that have no id
+  function reconcileKey(data, fields) {
+    return data[fields.kind] + '/' + data[fields.name];
+  }
+
+  // Concatenate the node arrays of two reconcile results
+  function mergeResults(result, other) {
+    for (var key in result) {
+      result[key].push.apply(result[key], other[key]);
+    }
+    return result;
+  }
+
+  // Item fields that are derived from the node itself rather than its data
+  var NODE_EVENTS = ['nodeAdded', 'nodeRemoved', 'nodeMoved', 'nodeChanged',
+                     'nodeExpanded', 'nodeCollapsed'];
+  var NODE_FIELDS = ['id', 'parentID', 'depth', 'kind', 'children', '_node', '_collapsed', '_hidden',
+                     '_broken', '_agg'];
+
+  /**
+   * Get the fields in `fields` that differ from a node's data, ignoring
+   * fields in NODE_FIELDS, the `skip` field, and fields an alias shows from
+   * its target.
+   * @private
+   * @return {Object} The changed fields, or null if nothing changed.
+   */
+  function dataChanges(node, fields, skip) {
+    var changes = null;
+    // An alias's item has fields of its target, which are not the alias's own
+    var target = node.kind === ALIAS ? aliasTarget(node) : null;
+    for (var key in fields) {
+      if (fields.hasOwnProperty(key) && NODE_FIELDS.indexOf(key) === -1 &&
+          key !== skip && node.data[key] !== fields[key] &&
+          !(target && !node.data.hasOwnProperty(key) && target.data[key] === fields[key])) {
+        changes = changes || {};
+        changes[key] = fields[key];
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Update a node's data, and its row in the view, with the fields in `data`
+   * that differ.
+   * @private
+   * @param {String} [childField] Field of `data` that holds its children,
+   *                              which is not copied.
+   * @return {Boolean} Whether any field changed.
+   */
+  function patchNode(node, data, childField) {
+    var changes = dataChanges(node, data, childField);
+    if (changes) {
+      node._viewUpdate(changes);
+      setNodeData(node, changes);
+    }
+    return Boolean(changes);
+  }
+
+  /**
+   * Save changed fields to a node's data and emit nodeChanged.
+   * @private
+   */
+  function setNodeData(node, changes) {
+    if (changes) {
+      extend(node.data, changes);
+      notify(node, {type: 'nodeChanged', node: node, changes: changes});
+    }
+  }
+
+  /**
+   * Sort the tree in place, on a key.
+   *
+   * Options:
+   *  - comparator: A comparator function (or the name of one of
+   *    `HGridTree.Comparators`) that receives two values. Defaults to a raw
+   *    `>` comparison.
+   *  - foldersFirst: List folders before items, regardless of direction.
+   *
+   * @method  sort
+   * @param {String} key The data key to sort on.
+   * @param {Boolean} asc Whether to sort ascending.
+   * @param {Object} [options]
+   */
+  Tree.prototype.sort = function(key, asc, options) {
+    options = options || {};
+    return this.sortBy([{key: key, asc: asc, comparator: options.comparator}], options);
+  };
+
+  /**
+   * Sort the tree in place on multiple keys. Ties on a key are broken by
+   * the next one.
+   *
+   * ```
+   * tree.sortBy([
+   *   {key: 'size', asc: false, comparator: 'numeric'},
+   *   {key: 'name', asc: true, comparator: 'natural'}
+   * ], {foldersFirst: true});
+   * ```
+   * @method  sortBy
+   * @param {Array} sortSpecs Objects with `key`, `asc`, and an optional
+   *                          `comparator`.
+   * @param {Object} [options] Accepts `foldersFirst`.
+   */
+  Tree.prototype.sortBy = function(sortSpecs, options) {
+    options = options || {};
+    return this.sortCmp(makeNodeComparator(sortSpecs, options.foldersFirst));
+  };
+
+  /**
+   * Sort the tree in place using a comparator function that receives two
+   * nodes. The comparator is remembered, so that nodes added later are
+   * inserted at their sorted position.
+   * @method  sortCmp
+   * @param {Function} cmp
+   */
+  Tree.prototype.sortCmp = function(cmp) {
+    if (!this.sortComparator) {  // Remember the unsorted order. See unsort.
+      for (var i = 0, child; child = this.children[i]; i++) {
+        child._unsortedIndex = i;
+      }
+    }
+    this.sortComparator = cmp;
+    this.children.sort(cmp);
+    for (var j = 0, next; next = this.children[j]; j++) {
+      next.sortCmp(cmp);
+    }
+    return this;
+  };
+
+  /**
+   * Undo sorting: forget the comparator and put the children of this tree
+   * and of its descendants back in the order they had before the tree was
+   * sorted. Nodes added while the tree was sorted come last, in their sorted
+   * order.
+   * @method  unsort
+   */
+  Tree.prototype.unsort = function() {
+    if (this.sortComparator) {
+      var decorated = this.children.map(function(child, index) {
+        return {node: child, index: index};
+      });
+      decorated.sort(function(a, b) {
+        var x = a.node._unsortedIndex, y = b.node._unsortedIndex;
+        if (x == null || y == null) {
+          return x == null && y == null ? a.index - b.index : (x == null ? 1 : -1);
+        }
+        return x - y;
+      });
+      this.children = decorated.map(function(entry) {
+        entry.node._unsortedIndex = null;
+        return entry.node;
+      });
+    }
+    this.sortComparator = null;
+    for (var i = 0, child; child = this.children[i]; i++) {
+      child.unsort();
+    }
+    return this;
+  };
+
+  /**
+   * Get a value comparator from a function or the name of one of
+   * `HGridTree.Comparators`.
+   * @private
+   */
+  function getComparator(comparator) {
+    if (comparator == null) {
+      return Comparators.raw;
+    }
+    if (typeof comparator === 'function') {
+      return comparator;
+    }
+    if (Comparators.hasOwnProperty(comparator)) {
+      return Comparators[comparator];
+    }
+    throw new TreeError('Unknown comparator: "' + comparator + '"');
+  }
+
+  /**
+   * Build a node comparator from an array of sort specs.
+   * @private
+   */
+  function makeNodeComparator(sortSpecs, foldersFirst) {
+    var specs = sortSpecs.map(function(spec) {
+      return {
+        key: spec.key,
+        sign: spec.asc ? 1 : -1,
+        cmp: getComparator(spec.comparator)
+      };
+    });
+    return function(node1, node2) {
+      if (foldersFirst) {
+        var isFolder1 = node1 instanceof Tree,
+          isFolder2 = node2 instanceof Tree;
+        if (isFolder1 !== isFolder2) {
+          return isFolder1 ? -1 : 1;
+        }
+      }
+      for (var i = 0, spec; spec = specs[i]; i++) {
+        var ret = spec.cmp(node1.data[spec.key], node2.data[spec.key]) * spec.sign;
+        if (ret !== 0) {
+          return ret;
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Give this tree and its descendants a view, by default this tree's own.
+   * @method  ensureView
+   * @param [view]
+   */
+  Tree.prototype.ensureView = function(view) {
+    if (!view) {
+      view = this.view;
+    }
+    this.view = view;
+    for (var i = 0, node; node = this.children[i]; i++) {
+      node.ensureView(view);
+    }
+    return this;
+  };
+
+  /**
+   * Convert the tree to plain data in the nested form that `Tree.fromObject`
+   * accepts, e.g. for saving it or sending it elsewhere. The result has no
+   * references to nodes, so it can be passed to `JSON.stringify`. The root is
+   * converted to an array of its children.
+   *
+   * Generated ids and fields starting with an underscore are left out.
+   *
+   * @method toJSON
+   * @param {Object} [options] `viewState`: Include each node's `_collapsed`
+   *                           and `_hidden` state.
+   *                           `loadStatus`: Include the lazy-loading status
+   *                           of folders as `_load_status`.
+   *                           `fields`: Field mapping. See `Tree.fromObject`.
+   * @return {Object|Array}
+   */
+  Tree.prototype.toJSON = function(options) {
+    // JSON.stringify passes the property name as the argument
+    options = options !== null && typeof options === 'object' ? options : {};
+    var fields = resolveFields(options.fields);
+    if (this.isRoot()) {
+      return this.children.map(function(child) {
+        return nodeToJSON(child, options, fields);
+      });
+    }
+    return nodeToJSON(this, options, fields);
+  };
+
+  function nodeToJSON(node, options, fields) {
+    var json = {};
+    for (var key in node.data) {
+      if (node.data.hasOwnProperty(key) && key.charAt(0) !== '_' &&
+          key !== 'parentID' && key !== fields.children) {
+        json[key] = node.data[key];
+      }
+    }
+    // The kind may have been inferred rather than given by the data
+    if (dataKind(node.data, fields, null) !== node.kind) {
+      json[fields.kind] = node.kind === FOLDER ? fields.folder :
+        node.kind === ITEM ? fields.item : node.kind;
+    }
+    if (options.viewState) {
+      json._collapsed = node._collapsed;
+      json._hidden = node._hidden;
+    }
+    // A load that is in progress will not finish for the copy
+    if (options.loadStatus && node._load_status) {
+      json._load_status = node._load_status === LOADING_STARTED ?
+        LOADING_UNFINISHED : node._load_status;
+    }
+    if (node instanceof Tree) {
+      json[fields.children] = node.children.map(function(child) {
+        return nodeToJSON(child, options, fields);
+      });
+    }
+    return json;
+  }
+
+  /**
+   * Collapse this and all children nodes, by setting the _collapsed attribute
+   * @method  collapse
+   * @param {Boolean} hideSelf Whether to hide this node as well
+   */
+  Tree.prototype.collapse = function(hideSelf, refresh) {
+    var wasCollapsed = this._collapsed;
+    if (!this.isRoot()){
+      // A node can be collapsed but not hidden. For example, if you click
+      // on a folder, it should collapse and hide all of its contents, but the folder
+      // should still be visible.
+      if (hideSelf) {
+        this._hidden = true;
+      } else {
+        this._collapsed = true;
+        this._hidden = false;
+      }
+    }
+    // Collapse and hide all children. The descendants of hidden children
+    // are already hidden.
+    for (var i = 0, node; node = this.children[i]; i++) {
+      if (!node._hidden) {
+        node.collapse(true);
+      }
+    }
+    if (!this.isRoot()) {
+      this._viewSync(refresh);
+    }
+    if (!wasCollapsed && this._collapsed) {
+      notify(this, {type: 'nodeCollapsed', node: this});
+    }
+    return this;
+  };
+
+  /**
+   * Performs breadth-first traversal of the tree, executing a function once
+   * per node.
+   * @method  bfTraverse
+   * @param  {Function} fun      Function to execute for each node
+   * @param  {Number} maxDepth Max depth to traverse to, or null.
+   */
+  Tree.prototype.bfTraverse = function(fun, maxDepth) {
+    var frontier = new Queue();
+    var next = this;
+    while (next) {
+      if (maxDepth && next.depth > maxDepth) {
+        break;
+      }
+      fun.call(this, next);
+      if (next.children.length) {
+        // enqueue all children
+        for (var i = 0, child; child = next.children[i]; i++){
+          frontier.enq(child);
+        }
+      }
+      next = frontier.deq();
+    }
+    return this;
+  };
+
+  /**
+   * Collapse all nodes at a certain depth
+   * @method  collapseAt
+   * @param  {Number} depth   The depth to collapse at
+   * @param  {Boolean} refresh Whether to refresh the view.
+   */
+  Tree.prototype.collapseAt = function(depth, refresh) {
+    if (depth === 0) {
+      return this.collapse(false, refresh);
+    }
+    this.bfTraverse(function(node) {
+      if (node.depth === depth && node instanceof Tree) {  // only collapse trees on the way
+        node.collapse(false, true);  // Make sure item is updated
+      }
+    }, depth);
+    if (refresh) {
+      this._viewRefresh();
+    }
+    return this;
+  };
+
+  Tree.prototype.expandAt = function(depth, refresh) {
+    if (depth === 0) {
+      return this.expand(false, refresh);
+    }
+    this.bfTraverse(function(node) {
+      if (!node.isRoot() && node.depth < depth) {
+        node.expand(false, true);  // Make sure item is updated
+      }
+    }, depth);
+    if (refresh) {
+      this._viewRefresh();
+    }
+    return this;
+  };
+
+  Tree.prototype.isHidden = function() {
+    return this._hidden;
+  };
+
+  /**
+   * Expand this and all children nodes by setting the item's _collapsed attribute
+   * @method  expand
+   */
+  Tree.prototype.expand = function(notFirst, refresh) {
+    var wasCollapsed = this._collapsed;
+    if (!this.isRoot()){
+      if (!notFirst) {
+        this._collapsed = false;
+      }
+      this._hidden = false;
+    }
+    // Expand all children
+    for (var i = 0, node; node = this.children[i]; i++) {
+      if (!this._collapsed) { // Maintain subtree's collapsed state
+        node.expand(true);
+      }
+    }
+    if (!this.isRoot()) {
+      this._viewSync(refresh);
+    }
+    if (wasCollapsed && !this._collapsed) {
+      notify(this, {type: 'nodeExpanded', node: this});
+    }
+    return this;
+  };
+
+  Tree.prototype.isRoot = function() {
+    return this.depth === 0;
+  };
+
+  /**
+   * @method isCollapsed
+   * @return {Boolean} Whether the node is collapsed.
+   */
+  Tree.prototype.isCollapsed = function() {
+    return this._collapsed;
+  };
+
+    /**
+     * @method getPathToRoot
+     * @param {Array} pathSoFar IDs of any path being passed in. Used by leafs.
+     * @return {Array} Node IDs from current to root
+     *
+     *
+     */
+    Tree.prototype.getPathToRoot = function(pathSoFar) {
+        var path = [];
+        if(typeof pathSoFar !== 'undefined' && pathSoFar instanceof Array){
+            path = pathSoFar;
+        }
+        var node = this;
+        while (node && !node.isRoot()) {
+            path.push(node.id);
+            node = node.nodeIndex[node.parentID];
+        }
+        return path;
+    };
+
+  /**
+   * Leaf representation
+   * @class  HGridTree.Leaf
+   * @constructor
+   */
+  function Leaf(data, fields) {
+    fields = fields || DEFAULT_FIELDS;
+    var id = data[fields.id];
+    this.data = data;
+    this.id = id != null ? id : getUID();
+    this.kind = dataKind(data, fields, ITEM);
+    this.parentID = null; // Set by parent
+    this.depth = null;
+    this.children = [];
+    this.view = null; // Set by parent
+    this.nodeIndex = null; // Set by parent
+    // View state, mirrored onto the view
+    this._collapsed = Boolean(data._collapsed);
+    this._hidden = Boolean(data._hidden);
+  }
+  /**
+   * Construct a new Leaf from an object.
+   * @method  fromObject
+   * @param obj
+   * @static
+   * @return {Leaf} The constructed Leaf.
+   */
+  function leafFromObject(LeafType, obj, parent, args) {
+    args = args || {};
+    var leaf = new LeafType(obj, resolveFields(args.fields));
+    if (parent) {
+      leaf.depth = parent.depth + 1;
+      leaf.parentID = parent.id;
+      leaf.view = parent.view;
+    }
+    if (args.collapse) {
+      leaf._collapsed = true;
+    }
+    return leaf;
+  }
+  /**
+   * @method getPathToRoot
+   * @return {Array} path of the leaf item to the root.
+   */
+
+    Leaf.prototype.getPathToRoot = function() {
+        var parent = this.nodeIndex && this.nodeIndex[this.parentID];
+        if(!parent || parent.isRoot()){
+            return [this.id];
+        }else {
+            return parent.getPathToRoot([this.id]);
+        }
+    };
+  /**
+   * Collapse (and hide) this leaf.
+   * @method  collapse
+   */
+   /*jshint unused: false */
+  Leaf.prototype.collapse = function(hideSelf, refresh) {
+    this._collapsed = this._hidden = true;
+    this._viewSync();
+    return this;
+  };
+
+  /**
+   * Expand (and show) this leaf.
+   * @method  expand
+   */
+  Leaf.prototype.expand = function() {
+    this._collapsed = this._hidden = false;
+    this._viewSync();
+    return this;
+  };
+
+  Leaf.prototype.isCollapsed = function() {
+    return this._collapsed;
+  };
+
+  Leaf.prototype.isHidden = function() {
+    return this._hidden;
+  };
+
+  Leaf.prototype.remove = noop;
+
+  /**
+   * Move this leaf to a new parent.
+   * @method  moveTo
+   * @param {HGridTree.Tree} newParent
+   * @param {Number} [index] Position among the new parent's children. Defaults
+   *                         to the end.
+   */
+  Leaf.prototype.moveTo = function(newParent, index) {
+    return moveNode(this, newParent, index);
+  };
+
+  /**
+   * Convert the leaf to plain data. See `Tree.prototype.toJSON`.
+   * @method toJSON
+   * @param {Object} [options]
+   * @return {Object}
+   */
+  Leaf.prototype.toJSON = Tree.prototype.toJSON;
+
+  /**
+   * The node that an alias refers to by the `target` id in its data,
+   * following aliases of aliases. Nodes that are not aliases are their own
+   * targets.
+   * @private
+   * @return The target node, or null if it does not exist.
+   */
+  function aliasTarget(node) {
+    var seen = {};
+    while (node && node.kind === ALIAS) {
+      if (seen.hasOwnProperty(node.id)) { // The aliases form a cycle
+        return null;
+      }
+      seen[node.id] = true;
+      node = node.nodeIndex ? node.nodeIndex[node.data.target] : null;
+    }
+    return node || null;
+  }
+
+  /**
+   * Give this leaf a view, by default its own.
+   * @method  ensureView
+   * @param [view]
+   */
+  Leaf.prototype.ensureView = function(view) {
+    this.view = view || this.view;
+    return this;
+  };
+
+  Leaf.prototype.sort = noop;
+  Leaf.prototype.sortBy = noop;
+  Leaf.prototype.sortCmp = noop;
+  Leaf.prototype.unsort = noop;
+  Leaf.prototype.unload = noop;
+
+  Leaf.prototype.isRoot = function() {
+    return this.depth === 0;
+  };
+
+  Leaf.prototype.empty = function() {
+    var parent = this.nodeIndex && this.nodeIndex[this.parentID];
+    detach(this);
+    notify(parent, {type: 'nodeRemoved', node: this, parent: parent});
+    return this;
+  };
+
+  ///////////
+  // Views //
+  ///////////
+
+  // A tree may be displayed by a view, e.g. HGrid binds trees to a SlickGrid
+  // DataView by subclassing Tree and Leaf. The model calls the methods below
+  // to keep the view in sync with its changes; here they do nothing.
+
+  /**
+   * Give a tree type and its leaf type the static builders (`fromObject`,
+   * `fromList`, and `fromPaths`), which create nodes of those types. Trees
+   * also create children of their own type, with `TreeType.Leaf` as the
+   * leaf type.
+   * @private
+   */
+  function defineBuilders(TreeType, LeafType) {
+    TreeType.Leaf = LeafType;
+    TreeType.fromObject = function(data, parent, args) {
+      return fromObject(TreeType, data, parent, args);
+    };
+    TreeType.fromList = function(rows, args) {
+      return fromList(TreeType, rows, args);
+    };
+    TreeType.fromPaths = function(paths, options) {
+      return fromPaths(TreeType, paths, options);
+    };
+    LeafType.fromObject = function(obj, parent, args) {
+      return leafFromObject(LeafType, obj, parent, args);
+    };
+  }
+  defineBuilders(Tree, Leaf);
+
+  // Show a child that was just added. If `ordered`, the child must be shown
+  // at its position among the children, e.g. because the tree is sorted.
+  Tree.prototype._viewInsert = noop;
+  // Show a node that was moved into this tree, given the rows that
+  // `_viewTake` returned for it, if any
+  Tree.prototype._viewPut = noop;
+  // Redraw after view state changes that were not shown yet
+  Tree.prototype._viewRefresh = noop;
+  // Stop showing the node, which is being detached
+  Tree.prototype._viewRemove = Leaf.prototype._viewRemove = noop;
+  // Stop showing the node and its descendants, which are being moved, and
+  // return their rows
+  Tree.prototype._viewTake = Leaf.prototype._viewTake = noop;
+  // Show changed data fields
+  Tree.prototype._viewUpdate = Leaf.prototype._viewUpdate = noop;
+  // Show the node's collapsed and hidden state, immediately if `refresh`
+  Tree.prototype._viewSync = Leaf.prototype._viewSync = noop;
+  // Whether the node is shown
+  Tree.prototype._isInView = Leaf.prototype._isInView = function() {
+    return false;
+  };
+
+  ///////////////
+  // Traversal //
+  ///////////////
+
+  // The methods below are shared by Trees and Leaves. Leaves simply have no
+  // children.
+
+  /**
+   * Performs depth-first (pre-order) traversal of the node and its
+   * descendants, executing a function once per node. The nodes are visited in
+   * the same order as their rows are displayed. Return `false` from `fun` to
+   * stop the traversal.
+   * @method  dfTraverse
+   * @param  {Function} fun      Function to execute for each node
+   * @param  {Number} maxDepth Max depth to traverse to, or null.
+   */
+  Tree.prototype.dfTraverse = Leaf.prototype.dfTraverse = function(fun, maxDepth) {
+    var stack = [this];
+    while (stack.length) {
+      var next = stack.pop();
+      if (fun.call(this, next) === false) {
+        break;
+      }
+      if (!maxDepth || next.depth < maxDepth) {
+        for (var i = next.children.length - 1; i >= 0; i--) {
+          stack.push(next.children[i]);
+        }
+      }
+    }
+    return this;
+  };
+
+  /**
+   * @method  find
+   * @param {Function} predicate Function that receives a node.
+   * @return {Object} The first descendant, in depth-first order, for which
+   *                  `predicate` returns true, or null.
+   */
+  Tree.prototype.find = Leaf.prototype.find = function(predicate) {
+    var found = null;
+    this.dfTraverse(function(node) {
+      if (node !== this && predicate.call(this, node)) {
+        found = node;
+        return false;
+      }
+    });
+    return found;
+  };
+
+  /**
+   * @method  filter
+   * @param {Function} predicate Function that receives a node.
+   * @return {Array} The descendants, in depth-first order, for which
+   *                 `predicate` returns true.
+   */
+  Tree.prototype.filter = Leaf.prototype.filter = function(predicate) {
+    var result = [];
+    this.dfTraverse(function(node) {
+      if (node !== this && predicate.call(this, node)) {
+        result.push(node);
+      }
+    });
+    return result;
+  };
+
+  /**
+   * @method  descendants
+   * @return {Array} All descendants, in depth-first order.
+   */
+  Tree.prototype.descendants = Leaf.prototype.descendants = function() {
+    return this.filter(function() { return true; });
+  };
+
+  /**
+   * @method  ancestors
+   * @return {Array} The node's ancestors, from its parent up to (but not
+   *                 including) the root.
+   */
+  Tree.prototype.ancestors = Leaf.prototype.ancestors = function() {
+    var result = [];
+    var parent = this.nodeIndex && this.nodeIndex[this.parentID];
+    while (parent && !parent.isRoot()) {
+      result.push(parent);
+      parent = parent.nodeIndex[parent.parentID];
+    }
+    return result;
+  };
+
+  /**
+   * @method  siblings
+   * @return {Array} The other children of the node's parent.
+   */
+  Tree.prototype.siblings = Leaf.prototype.siblings = function() {
+    var self = this;
+    var parent = this.nodeIndex && this.nodeIndex[this.parentID];
+    if (!parent) {
+      return [];
+    }
+    return parent.children.filter(function(child) {
+      return child !== self;
+    });
+  };
+
+  /**
+   * @method  getChildrenOf
+   * @param {Number} id The id of a node in the same tree.
+   * @return {Array} A copy of the node's children, or null if there is no node
+   *                 with the id.
+   */
+  Tree.prototype.getChildrenOf = Leaf.prototype.getChildrenOf = function(id) {
+    var node = this.nodeIndex && this.nodeIndex[id];
+    return node ? node.children.slice() : null;
+  };
+
+  /**
+   * Get an iterator over the node's descendants, in depth-first order.
+   *
+   * Nodes are also ES2015 iterables:
+   * ```
+   * for (var node of tree) { ... }
+   * ```
+   * @method  iterator
+   * @return {Object} An iterator with a `next` method.
+   */
+  Tree.prototype.iterator = Leaf.prototype.iterator = function() {
+    var stack = this.children.slice().reverse();
+    return {
+      next: function() {
+        var node = stack.pop();
+        if (!node) {
+          return {done: true, value: undefined};
+        }
+        for (var i = node.children.length - 1; i >= 0; i--) {
+          stack.push(node.children[i]);
+        }
+        return {done: false, value: node};
+      }
+    };
+  };
+  if (typeof Symbol === 'function' && Symbol.iterator) {
+    Tree.prototype[Symbol.iterator] = Leaf.prototype[Symbol.iterator] = Tree.prototype.iterator;
+  }
+
+  ////////////////
+  // Aggregates //
+  ////////////////
+
+  // Tree aggregates summarize the items (leaves) below each tree, e.g. the
+  // total size of a folder's files. Each aggregate type has an `initial`
+  // value, a `reduce(acc, value, node)` function that adds an item's value,
+  // and a `combine(acc, other)` function that adds the aggregate of a subtree.
+  var Aggregates = {
+    // Sum of the numeric values, skipping missing and non-numeric values
+    sum: {
+      initial: 0,
+      reduce: function(acc, value) {
+        value = value == null || value === '' ? NaN : Number(value);
+        return isNaN(value) ? acc : acc + value;
+      },
+      combine: function(acc, other) {
+        return acc + other;
+      }
+    },
+    // Number of items, or of items that have a value if a field is given
+    count: {
+      initial: 0,
+      reduce: function(acc, value) {
+        return value == null ? acc : acc + 1;
+      },
+      combine: function(acc, other) {
+        return acc + other;
+      }
+    },
+    // Largest value, compared with `>`. Undefined if there are no values.
+    max: {
+      initial: undefined,
+      reduce: function(acc, value) {
+        return value != null && (acc === undefined || value > acc) ? value : acc;
+      }
+    },
+    // Smallest value, compared with `<`. Undefined if there are no values.
+    min: {
+      initial: undefined,
+      reduce: function(acc, value) {
+        return value != null && (acc === undefined || value < acc) ? value : acc;
+      }
+    }
+  };
+  // Values of max and min combine like any other value
+  Aggregates.max.combine = Aggregates.max.reduce;
+  Aggregates.min.combine = Aggregates.min.reduce;
+
+  /**
+   * Complete aggregate definitions with their type's functions.
+   * @private
+   */
+  function resolveAggregates(definitions) {
+    var defs = {};
+    for (var name in definitions) {
+      if (definitions.hasOwnProperty(name)) {
+        var def = definitions[name];
+        if (typeof def === 'string') {
+          def = {type: def};
+        }
+        var type = def.type ? Aggregates[def.type] : {};
+        if (!type) {
+          throw new TreeError('Unknown aggregate type "' + def.type + '" for aggregate "' + name + '".');
+        }
+        def = extend({initial: type.initial, reduce: type.reduce, combine: type.combine}, def);
+        if (typeof def.reduce !== 'function') {
+          throw new TreeError('Aggregate "' + name + '" needs a type or a reduce function.');
+        }
+        defs[name] = def;
+      }
+    }
+    return defs;
+  }
+
+  // The value an item adds to an aggregate: its field, or its data if the
+  // aggregate has no field
+  function aggregateValue(def, leaf) {
+    return def.field ? leaf.data[def.field] : leaf.data;
+  }
+
+  /**
+   * Compute one aggregate of a tree, from the aggregates of its subtrees if
+   * the aggregate can combine them, else from all of its items.
+   * @private
+   */
+  function computeAggregate(tree, name, def) {
+    var acc = def.initial;
+    if (def.combine) {
+      for (var i = 0, child; child = tree.children[i]; i++) {
+        acc = child instanceof Tree ?
+          def.combine(acc, child._agg[name]) :
+          def.reduce(acc, aggregateValue(def, child), child);
+      }
+    } else {
+      eachNode(tree, function(node) {
+        if (!(node instanceof Tree)) {
+          acc = def.reduce(acc, aggregateValue(def, node), node);
+        }
+      });
+    }
+    return acc;
+  }
+
+  // Set a tree's aggregates and show them in the view
+  function setAggregates(tree, agg) {
+    tree._agg = agg;
+    tree._viewUpdate({_agg: agg});
+  }
+
+  // Compute all aggregates of a tree
+  function computeAggregates(tree, defs) {
+    var agg = {};
+    for (var name in defs) {
+      if (defs.hasOwnProperty(name)) {
+        agg[name] = computeAggregate(tree, name, defs[name]);
+      }
+    }
+    return agg;
+  }
+
+  // Compute the aggregates of every tree of a subtree, children before parents
+  function aggregateSubtree(node, defs) {
+    if (node instanceof Tree) {
+      for (var i = 0, child; child = node.children[i]; i++) {
+        aggregateSubtree(child, defs);
+      }
+      setAggregates(node, computeAggregates(node, defs));
+    }
+  }
+
+  // The parent of a tree's ancestor chain up to `top`, or null after `top`
+  function aggregatedParent(tree, top) {
+    return tree !== top && tree.nodeIndex ? tree.nodeIndex[tree.parentID] || null : null;
+  }
+
+  // Recompute the aggregates of a tree and its ancestors, up to `top`
+  function aggregateAncestors(tree, top, defs) {
+    for (; tree; tree = aggregatedParent(tree, top)) {
+      setAggregates(tree, computeAggregates(tree, defs));
+    }
+  }
+
+  /**
+   * Add the aggregates of a node that was added to `tree` to those of the
+   * tree and its ancestors, up to `top`. Aggregates that cannot combine are
+   * recomputed.
+   * @private
+   */
+  function aggregateAdded(tree, node, top, defs) {
+    var added = {}, name, def;
+    for (name in defs) {
+      if (defs.hasOwnProperty(name)) {
+        def = defs[name];
+        added[name] = node instanceof Tree ? node._agg[name] :
+          def.reduce(def.initial, aggregateValue(def, node), node);
+      }
+    }
+    for (; tree; tree = aggregatedParent(tree, top)) {
+      if (!tree._agg) {
+        setAggregates(tree, computeAggregates(tree, defs));
+        continue;
+      }
+      var agg = {};
+      for (name in defs) {
+        if (defs.hasOwnProperty(name)) {
+          def = defs[name];
+          agg[name] = def.combine ? def.combine(tree._agg[name], added[name]) :
+            computeAggregate(tree, name, def);
+        }
+      }
+      setAggregates(tree, agg);
+    }
+  }
+
+  /**
+   * Whether a change to an item's data may change an aggregate.
+   * @private
+   */
+  function affectsAggregates(changes, defs) {
+    for (var name in defs) {
+      if (defs.hasOwnProperty(name) &&
+          (!defs[name].field || changes.hasOwnProperty(defs[name].field))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  var AGGREGATE_EVENTS = ['nodeAdded', 'nodeRemoved', 'nodeMoved', 'nodeChanged'];
+
+  /**
+   * Keep aggregates of the items below each tree in this tree, as the
+   * tree's `_agg` object. The aggregates are computed now and updated when
+   * nodes are added, removed, moved, or their data change. Calling
+   * `aggregate` again replaces the definitions; call it with null to stop.
+   *
+   * Each definition is either the name of a type in `HGridTree.Aggregates`
+   * (`sum`, `count`, `max`, `min`) or an object with:
+   *  - `type`: The name of an aggregate type, or
+   *  - `reduce`: `function(acc, value, node)` that returns the accumulated
+   *    value with an item added, and `initial`, the accumulated value of a
+   *    tree without items.
+   *  - `field`: The data field of each item to aggregate. Without a field,
+   *    the value is the item's data.
+   *  - `combine`: `function(acc, other)` that adds another tree's aggregate.
+   *    Without it, a tree's aggregate is recomputed from all of its items
+   *    when one of them changes.
+   *
+   * Example:
+   * ```
+   * tree.aggregate({
+   *   totalSize: {type: 'sum', field: 'size'},
+   *   fileCount: 'count',
+   *   lastModified: {type: 'max', field: 'modified'}
+   * });
+   * tree.getNodeByID(1)._agg.totalSize;
+   * ```
+   * Throws an `HGridTree.Error` if a definition is invalid.
+   * @method aggregate
+   * @param {Object} definitions Aggregate definitions, by name
+   */
+  Tree.prototype.aggregate = function(definitions) {
+    var self = this;
+    var previous = self._aggregation;
+    if (previous) {
+      for (var i = 0, type; type = AGGREGATE_EVENTS[i]; i++) {
+        self.off(type, previous.listener);
+      }
+      self._aggregation = null;
+    }
+    if (!definitions) {
+      return self;
+    }
+    var defs = resolveAggregates(definitions);
+    var listener = function(event) {
+      var node = event.node;
+      switch (event.type) {
+        case 'nodeAdded':
+          aggregateSubtree(node, defs);
+          aggregateAdded(event.parent, node, self, defs);
+          break;
+        case 'nodeRemoved':
+          aggregateAncestors(event.parent, self, defs);
+          break;
+        case 'nodeMoved':
+          // The old parent may be outside this tree
+          if (event.from === self || self.isAncestorOf(event.from)) {
+            aggregateAncestors(event.from, self, defs);
+          }
+          aggregateAncestors(event.to, self, defs);
+          break;
+        case 'nodeChanged':
+          if (!(node instanceof Tree) && affectsAggregates(event.changes, defs)) {
+            aggregateAncestors(node.nodeIndex[node.parentID], self, defs);
+          }
+          break;
+      }
+    };
+    self._aggregation = {definitions: defs, listener: listener};
+    for (var k = 0, name; name = AGGREGATE_EVENTS[k]; k++) {
+      self.on(name, listener);
+    }
+    aggregateSubtree(self, defs);
+    return self;
+  };
+
+  // An efficient, lightweight queue implementation, adapted from Queue.js by Steven Morley
+  function Queue() {
+    this.queue = [];
+    this.offset = 0;
+  }
+  Queue.prototype.enq = function(item) {
+    this.queue.push(item);
+  };
+  Queue.prototype.deq = function() {
+    if (this.queue.length === 0) {
+      return undefined;
+    }
+    // store item at front of queue
+    var item = this.queue[this.offset];
+    if (++ this.offset * 2 >= this.queue.length) {
+      this.queue = this.queue.slice(this.offset);
+      this.offset = 0;
+    }
+    return item;
+  };
+  Queue.prototype.isEmpty = function() {
+    return this.queue.length === 0;
+  };
+
+  /////////////////
+  // Comparators //
+  /////////////////
+
+  function toNumber(val) {
+    if (val == null || val === '') {
+      return NaN;
+    }
+    return Number(val);
+  }
+
+  function toTime(val) {
+    if (val == null || val === '') {
+      return NaN;
+    }
+    return new Date(val).getTime();
+  }
+
+  // Compare two numbers, placing missing (NaN) values first
+  function compareNumbers(num1, num2) {
+    var isNaN1 = isNaN(num1),
+      isNaN2 = isNaN(num2);
+    if (isNaN1 || isNaN2) {
+      return isNaN1 === isNaN2 ? 0 : (isNaN1 ? -1 : 1);
+    }
+    return num1 === num2 ? 0 : (num1 > num2 ? 1 : -1);
+  }
+
+  var collator = null;
+  function getCollator() {
+    if (!collator && typeof Intl !== 'undefined' && Intl.Collator) {
+      collator = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'});
+    }
+    return collator;
+  }
+
+  // Predefined value comparators. Each receives two values and returns a
+  // negative number, zero, or a positive number. Sort specs reference these
+  // by name with their `comparator` property.
+  var Comparators = {
+    // Raw comparison with `>`
+    raw: function(val1, val2) {
+      return val1 === val2 ? 0 : (val1 > val2 ? 1 : -1);
+    },
+    numeric: function(val1, val2) {
+      return compareNumbers(toNumber(val1), toNumber(val2));
+    },
+    // Accepts Date objects, timestamps, or date strings
+    date: function(val1, val2) {
+      return compareNumbers(toTime(val1), toTime(val2));
+    },
+    // Locale-aware, case-insensitive comparison that orders embedded
+    // numbers by value ('file2' < 'file10')
+    natural: function(val1, val2) {
+      var str1 = val1 == null ? '' : String(val1),
+        str2 = val2 == null ? '' : String(val2);
+      var coll = getCollator();
+      return coll ? coll.compare(str1, str2) : str1.localeCompare(str2);
+    }
+  };
+
+  return {
+    Tree: Tree,
+    Leaf: Leaf,
+    Queue: Queue,
+    Error: TreeError,
+    Events: Events,
+    Comparators: Comparators,
+    Aggregates: Aggregates,
+    Kinds: KINDS,
+    ROOT_ID: ROOT_ID,
+    FOLDER: FOLDER,
+    ITEM: ITEM,
+    ALIAS: ALIAS,
+    DEFAULT_FIELDS: DEFAULT_FIELDS,
+    LOADING_UNFINISHED: LOADING_UNFINISHED,
+    LOADING_STARTED: LOADING_STARTED,
+    LOADING_FINISHED: LOADING_FINISHED,
+    // Shared with HGrid, which is built on the model. Not part of the API.
+    _helpers: {
+      extend: extend,
+      noop: noop,
+      defineBuilders: defineBuilders,
+      resolveFields: resolveFields,
+      dataKind: dataKind,
+      isItemData: isItemData,
+      fire: fire,
+      notify: notify,
+      eachNode: eachNode,
+      aliasTarget: aliasTarget,
+      dataChanges: dataChanges,
+      setNodeData: setNodeData,
+      patchNode: patchNode,
+      nestRows: nestRows,
+      isPathList: isPathList,
+      nestPaths: nestPaths,
+      NODE_EVENTS: NODE_EVENTS,
+      NODE_FIELDS: NODE_FIELDS
+    }
+  };
+})();
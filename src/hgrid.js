@@ -2,530 +2,533 @@
  * Provides the main HGrid class and HGrid.Error.
  * @module HGrid
  */
-this.HGrid = (function($) {
+this.HGrid = (function($, core) {
   'use strict';
 
   var DEFAULT_INDENT = 20;
-  var ROOT_ID = 'root';
-  var ITEM = 'item';
-  var FOLDER = 'folder';
-  function noop() {}
+  var ROOT_ID = core.ROOT_ID;
+  var ITEM = core.ITEM;
+  var FOLDER = core.FOLDER;
+  var ALIAS = core.ALIAS;
+  var DEFAULT_FIELDS = core.DEFAULT_FIELDS;
+  var KINDS = core.Kinds;
+  var Events = core.Events;
+  var Queue = core.Queue;
+  var Comparators = core.Comparators;
+  var LOADING_UNFINISHED = core.LOADING_UNFINISHED;
+  var LOADING_STARTED = core.LOADING_STARTED;
+  var LOADING_FINISHED = core.LOADING_FINISHED;
+  var noop = core._helpers.noop;
+  var resolveFields = core._helpers.resolveFields;
+  var dataKind = core._helpers.dataKind;
+  var fire = core._helpers.fire;
+  var eachNode = core._helpers.eachNode;
+  var aliasTarget = core._helpers.aliasTarget;
+  var dataChanges = core._helpers.dataChanges;
+  var setNodeData = core._helpers.setNodeData;
+  var patchNode = core._helpers.patchNode;
+  var nestRows = core._helpers.nestRows;
+  var isPathList = core._helpers.isPathList;
+  var nestPaths = core._helpers.nestPaths;
+  var NODE_EVENTS = core._helpers.NODE_EVENTS;
+  var NODE_FIELDS = core._helpers.NODE_FIELDS;
+
+
+  ///////////////////////
+  // DataView Bindings //
+  ///////////////////////
+
+  // HGrid's trees and leaves are those of the tree model (see HGridTree),
+  // displayed by a SlickGrid DataView. The DataView is the view that all
+  // nodes of a tree share, and each node is shown as an item: a row of the
+  // DataView. Only nodes that are not hidden have rows, so that the DataView
+  // holds as many items as there are rows to show. Expanding a tree splices
+  // the rows of its contents in, and collapsing it splices them out.
 
-
-  /////////////////////
-  // Data Structures //
-  /////////////////////
-
-  var idCounter = 0; // Ensure unique IDs among trees and leaves
-  function getUID() {
-    return idCounter++;
-  }
   /**
-   * A tree node. If constructed with no args, the node is
-   * considered a root,
-   *
-   * ```
-   * var root = new HGrid.Tree();
-   * root.depth // => 0
-   * var subtree = new Tree({name: 'A subtree', kind: 'folder'});
-   * root.add(subtree);
-   * subtree.depth  // => 1
-   * ```
+   * A tree node that is displayed by a DataView. A root (constructed with no
+   * args) creates the DataView. See `HGridTree.Tree`.
    *
    * @class HGrid.Tree
+   * @extends HGridTree.Tree
    * @constructor
    * @param {Object} data Data to attach to the tree
+   * @param {Object} [fields] Field mapping. See `Tree.fromObject`.
    */
-  function Tree(data) {
-    if (data === undefined) { // No args passed, it's a root
-      this.data = {};
-      this.id = ROOT_ID;
-      /**
-       * @attribute  depth
-       * @type {Number}
-       */
-      this.depth = 0;
-      this.dataView = new Slick.Data.DataView({
+  function Tree(data, fields) {
+    core.Tree.call(this, data, fields);
+    /**
+     * The node's item, once it has been created. See `getItem`.
+     * @attribute  _item
+     * @private
+     */
+    this._item = null;
+    if (data === undefined) {
+      this.view = new Slick.Data.DataView({
         inlineFilters: true
       });
-    } else {
-      this.data = data;
-      this.id = data.id ? data.id : getUID();
-      // Depth and dataView will be set by parent after being added as a subtree
-      this.depth = null;
-      this.dataView = null;
     }
-    this.children = [];
-    this.parentID = null;
   }
+  Tree.prototype = Object.create(core.Tree.prototype);
+  Tree.prototype.constructor = Tree;
+
   /**
-   * Construct a new Tree from either an object or an array of data.
-   *
-   * Example input:
-   * ```
-   * [{name: 'Documents', kind: 'folder',
-   *  children: [{name: 'mydoc.txt', type: 'item'}]},
-   *  {name: 'rootfile.txt', kind: 'item'}
-   *  ]
-   *  ```
-   *
-   * @method fromObject
-   * @param {Object} data
-   * @param {parent} [parent] Parent item.
-   *
+   * A leaf that is displayed by a DataView. See `HGridTree.Leaf`.
+   * @class  HGrid.Leaf
+   * @extends HGridTree.Leaf
+   * @constructor
    */
-  Tree.fromObject = function(data, parent, args) {
-    args = args || {};
-    var tree, children, leaf, subtree;
-    // If data is an array, create a new root
-    if (Array.isArray(data)) {
-      tree = new Tree();
-      children = data;
-    } else { // data is an object, create a subtree
-      children = data.children || [];
-      tree = new Tree(data);
-      tree.depth = parent.depth + 1;
-      tree.dataView = parent.dataView;
-      if (args.collapse) {
-        // TODO: Hardcoded. Change this when _collapsed and _hidden states
-        // are saved on Tree and Leaf objects, and not just on the dataview items
-        tree.data._collapsed = true;
-      }
-    }
-    // Assumes nodes have a `kind` property. If `kind` is "item", create a leaf,
-    // else create a Tree.
-    for (var i = 0, len = children.length; i < len; i++) {
-      var child = children[i];
-      if (child.kind === ITEM) {
-        leaf = Leaf.fromObject(child, tree, args);
-        tree.add(leaf);
-      } else {
-        subtree = Tree.fromObject(child, tree, args);
-        tree.add(subtree);
-      }
-    }
-    return tree;
-  };
+  function Leaf(data, fields) {
+    core.Leaf.call(this, data, fields);
+    this._item = null;
+  }
+  Leaf.prototype = Object.create(core.Leaf.prototype);
+  Leaf.prototype.constructor = Leaf;
 
-  Tree.resetIDCounter = function() {
-    idCounter = 0;
-  };
-  Tree._getCurrentID = function() {
-    return idCounter;
-  };
+  core._helpers.defineBuilders(Tree, Leaf);
+  Tree.resetIDCounter = core.Tree.resetIDCounter;
+  Tree._getCurrentID = core.Tree._getCurrentID;
 
   /**
-   * Add a component to this node
-   * @method  add
-   * @param component      Either a Tree or Leaf.
-   * @param {Boolean} [updateDataView] Whether to insert the item into the DataView
+   * The DataView that displays the node. Same as `view`.
+   * @attribute  dataView
    */
-  Tree.prototype.add = function(component, updateDataView) {
-    // Set deptth, parent ID, and dataview
-    component.parentID = this.id;
-    component.depth = this.depth + 1;
-    component.dataView = this.dataView;
-    this.children.push(component);
-    if (updateDataView) {
-      this.insertIntoDataView(component);
-    }
-    return this;
-  };
-
-  Tree.prototype.empty = function(removeSelf) {
-    if (removeSelf) {
-      // Clear children
-      var item = this.getItem();
-      this.dataView.deleteItem(item.id);
-    }
-    for(var i=0, child; child = this.children[i]; i++) {
-      child.empty(true);
-      child.children = [];
+  var dataViewProperty = {
+    get: function() {
+      return this.view;
+    },
+    set: function(dataView) {
+      this.view = dataView;
     }
-    this.children = [];
-    return this;
   };
+  Object.defineProperty(Tree.prototype, 'dataView', dataViewProperty);
+  Object.defineProperty(Leaf.prototype, 'dataView', dataViewProperty);
 
-  // Remove an object from an array, searching by an attribute value
-  function removeByProperty(arr, attr, value){
-    var i = arr.length;
-    while(i--){
-      if(arr[i] && arr[i].hasOwnProperty(attr) && (arguments.length > 2 && arr[i][attr] === value )){
-         arr.splice(i,1);
-         return true;
-      }
-    }
-    return false;
+  /**
+   * @private
+   * @return {Boolean} Whether a node's item has been inserted in its DataView.
+   */
+  function isInDataView(node) {
+    return Boolean(node.dataView) && node.dataView.getIdxById(node.id) !== undefined;
   }
 
   /**
-   * Remove a child node.
-   * @param  {Object} child The child node to remove or an id.
+   * Insert a node's rows into the DataView at the position matching its
+   * place among its parent's children.
+   * @private
    */
-  Tree.prototype.remove = function(child) {
-    var childId = typeof child === 'object' ? child.id : child;
-    var removed = removeByProperty(this.children, 'id', child);
-    if(!removed) {
-      for (var i = 0, node; node = this.children[i]; i++) {
-        removed = node.remove(child);
-      }
-    } else {
-      this.dataView.deleteItem(childId);
+  function insertAtPosition(node, parent, dataView) {
+    if (!parent.isRoot() && !isInDataView(parent)) {
+      return;
     }
-  };
+    insertRows(dataView, computeInsertIdx(node, parent, dataView), rowsOf(node));
+  }
 
   /**
-   * Get the tree's corresponding item object from the dataview.
-   * @method  getItem
+   * The rows of a node, in display order: its item, unless it is hidden, and
+   * the rows of its children, unless it is collapsed. While searching, all
+   * nodes have rows (see `showAllRows`).
+   * @private
+   * @param {Boolean} [fresh] Replace the nodes' items with new ones.
+   * @param {Boolean} [all] Include hidden nodes and the contents of collapsed
+   *                        folders.
+   * @return {Array} The items.
    */
-  Tree.prototype.getItem = function() {
-    return this.dataView.getItemById(this.id);
-  };
+  function rowsOf(node, fresh, all) {
+    var root = node.nodeIndex && node.nodeIndex[ROOT_ID];
+    all = all || Boolean(root && root._allRows);
+    var rows = [];
+    var stack = [node];
+    while (stack.length) {
+      var next = stack.pop();
+      if (next._hidden && !all) {
+        continue;
+      }
+      if (!next.isRoot()) {
+        if (fresh) {
+          next._item = null;
+        }
+        rows.push(itemOf(next));
+      }
+      if (!next._collapsed || all) {
+        for (var i = next.children.length - 1; i >= 0; i--) {
+          stack.push(next.children[i]);
+        }
+      }
+    }
+    return rows;
+  }
 
   /**
-   * Sort the tree in place, on a key.
-   * @method  sort
+   * Replace the DataView's items from `start` up to `end` with `rows`. The
+   * DataView updates its id index from the insertion point on every
+   * `insertItem` and `deleteItem`, so more than one row is spliced at once
+   * and the index is rebuilt a single time.
+   * @private
    */
-  Tree.prototype.sort = function(key, asc) {
-    this.children.sort(function(child1, child2) {
-      var val1 = child1.data[key],
-        val2 = child2.data[key];
-      var sign = asc ? 1 : -1;
-      var ret = (val1 === val2 ? 0 : (val1 > val2 ? 1 : -1)) * sign;
-      if (ret !== 0) {
-        return ret;
+  function spliceRows(dataView, start, end, rows) {
+    var items = dataView.getItems();
+    var count = end - start;
+    if (count === rows.length) {
+      var same = true;
+      for (var i = 0; i < count && same; i++) {
+        same = items[start + i] === rows[i];
+      }
+      if (same) {
+        return;
       }
-      return 0;
-    });
-    for (var i = 0, child; child = this.children[i]; i++) {
-      child.sort(key, asc);
     }
-    return this;
-  };
-
-  // TODO: test me
-  Tree.prototype.sortCmp = function(cmp) {
-    this.children.sort(cmp);
-    for (var i = 0, child; child = this.children[i]; i++) {
-      child.sortCmp(key);
+    if (!count && rows.length === 1) {
+      dataView.insertItem(start, rows[0]);
+    } else if (count === 1 && !rows.length) {
+      dataView.deleteItem(items[start].id);
+    } else {
+      dataView.setItems(items.slice(0, start).concat(rows, items.slice(end)));
     }
-    return this;
-  };
+  }
+
+  // Insert rows into the DataView at `idx`. See spliceRows.
+  function insertRows(dataView, idx, rows) {
+    spliceRows(dataView, idx, idx, rows);
+  }
 
   /**
-   * Computes the index in the DataView where to insert an item, based on
-   * the item's parentID property.
+   * Replace a node's rows in the DataView with the rows it should have, e.g.
+   * after it was expanded or collapsed. Nodes whose parent hides its contents
+   * are skipped, since their rows are replaced along with the parent's.
    * @private
    */
-  function computeAddIdx(item, dataView) {
-    var parent = dataView.getItemById(item.parentID);
-    if (parent) {
-      return dataView.getIdxById(parent.id) + 1;
-    }
-    return 0;
+  function syncRows(node) {
+    var dataView = node.dataView;
+    var parent = node.nodeIndex && node.nodeIndex[node.parentID];
+    var start = dataView.getIdxById(node.id);
+    if (start === undefined || !parent ||
+        (!parent.isRoot() && (parent._collapsed || parent._hidden))) {
+      return;
+    }
+    spliceRows(dataView, start, subtreeEnd(dataView, start), rowsOf(node));
   }
 
-  Tree.prototype.insertIntoDataView = function(component) {
-    var data = component.toData();
-    var idx;
-    if (Array.isArray(data)) {
-      for (var i = 0, len = data.length; i < len; i++) {
-        var datum = data[i];
-        idx = computeAddIdx(datum, this.dataView);
-        this.dataView.insertItem(idx, datum);
-      }
-    } else { // data is an Object, so component is a leaf
-      idx = computeAddIdx(data, this.dataView);
-      this.dataView.insertItem(idx, data);
-    }
-    return this;
-  };
-
-  Tree.prototype.ensureDataView = function(dataView) {
-    if (!dataView) {
-      dataView = this.dataView;
-    }
-    this.dataView = dataView;
-    for (var i = 0, node; node = this.children[i]; i++) {
-      node.ensureDataView(dataView);
-    }
-    return this;
-  };
-
   /**
-   * Update the dataview with this tree's data. This should only be called on
-   * a root node.
+   * Show the rows of all nodes, e.g. so that search results can include
+   * hidden nodes, or only the rows of nodes that are not hidden.
+   * @private
    */
-  Tree.prototype.updateDataView = function(onlySetItems) {
-    if (!this.dataView) {
-      throw new HGrid.Error('Tree does not have a DataView. updateDataView must be called on a root node.');
+  function showAllRows(grid, all) {
+    var root = grid.tree;
+    if (Boolean(root._allRows) !== all) {
+      root._allRows = all;
+      grid.getDataView().setItems(rowsOf(root));
     }
-    if (!onlySetItems) {
-      this.ensureDataView();
-    }
-    this.dataView.beginUpdate();
-    this.dataView.setItems(this.toData());
-    this.dataView.endUpdate();
-    return this;
-  };
+  }
 
   /**
-   * Convert the tree to SlickGrid-compatible data
-   *
-   * @param {Array} result Memoized result.
-   * @return {Array} Array of SlickGrid data
+   * Run `func` with the rows of the nodes it adds to a tree kept out of the
+   * DataView, then insert them all in a single pass over the DataView's items.
+   * While deferred, added nodes are not in the DataView yet, so `func` must
+   * not look up their items.
+   * @private
+   * @param {HGrid.Tree} root
    */
-  Tree.prototype.toData = function(result) {
-    // Add this node's data, unless it's a root
-    var data = result || [];
-    if (this.depth !== 0) {
-      var thisItem = $.extend({}, {
-        id: this.id,
-        parentID: this.parentID,
-        _node: this,
-        depth: this.depth
-      }, this.data);
-      data.push(thisItem);
+  function deferInserts(root, func) {
+    if (root._pendingInserts) { // Already deferred
+      return func();
+    }
+    root._pendingInserts = [];
+    try {
+      return func();
+    } finally {
+      var pending = root._pendingInserts;
+      root._pendingInserts = null;
+      flushInserts(root, pending);
     }
-    for (var i = 0, len = this.children.length; i < len; i++) {
-      var child = this.children[i];
-      child.toData(data);
-    }
-    return data;
-  };
+  }
 
   /**
-   * Collapse this and all children nodes, by setting the _collapsed attribute
-   * @method  collapse
-   * @param {Boolean} hideSelf Whether to hide this node as well
+   * Insert the rows of nodes added while inserts were deferred. As with
+   * single inserts, nodes added in order (e.g. to a sorted tree) are shown
+   * at their position among their siblings, and others just below their
+   * parent, most recent first.
+   * @private
    */
-  Tree.prototype.collapse = function(hideSelf, refresh) {
-    var item;
-    if (!this.isRoot()){
-      item = this.getItem();
-      // A node can be collapsed but not hidden. For example, if you click
-      // on a folder, it should collapse and hide all of its contents, but the folder
-      // should still be visible.
-      if (hideSelf) {
-        item._hidden = true;
-      } else {
-        item._collapsed = true;
-        item._hidden = false;
+  function flushInserts(root, pending) {
+    var dataView = root.dataView;
+    var index = root.nodeIndex;
+    var groups = {}; // Pending nodes by parent id
+    var i, len, group;
+    for (i = 0, len = pending.length; i < len; i++) {
+      var node = pending[i].node;
+      var parent = index[node.parentID];
+      // Skip nodes that were removed since, and nodes whose parent is
+      // pending too, since the parent's rows include them
+      if (index[node.id] !== node || !parent || !(parent.isRoot() || isInDataView(parent))) {
+        continue;
       }
+      group = groups[parent.id] = groups[parent.id] || {parent: parent, nodes: [], ids: {}, ordered: false};
+      group.nodes.push(node);
+      group.ids[node.id] = true;
+      group.ordered = group.ordered || pending[i].ordered;
     }
-    // Collapse and hide all children
-    for (var i = 0, node; node = this.children[i]; i++) {
-      node.collapse(true);
+    var state = {dataView: dataView, groups: groups, old: dataView.getItems(), items: []};
+    copyRows(state, appendGroupRows(state, groups[root.id], 0), state.old.length);
+    if (state.items.length !== state.old.length) {
+      dataView.setItems(state.items);
     }
-    if (!this.isRoot() && refresh) {
-      this.dataView.updateItem(item.id, item); // need to update the item index
+  }
+
+  // Push the elements of an array, which may be too long to pass as arguments
+  function appendAll(arr, values) {
+    for (var i = 0, len = values.length; i < len; i++) {
+      arr.push(values[i]);
     }
-    return this;
-  };
+  }
 
   /**
-   * Performs breadth-first traversal of the tree, executing a function once
-   * per node.
-   * @method  bfTraverse
-   * @param  {Function} fun      Function to execute for each node
-   * @param  {Number} maxDepth Max depth to traverse to, or null.
+   * Copy the old rows from `from` up to `to` to the new items of a flush
+   * (see `flushInserts`), each followed by the rows of its pending children.
+   * @private
    */
-  Tree.prototype.bfTraverse = function(fun, maxDepth) {
-    var frontier = new Queue();
-    var next = this;
-    while (next) {
-      if (maxDepth && next.depth > maxDepth) {
-        break;
-      }
-      fun.call(this, next);
-      if (next.children.length) {
-        // enqueue all children
-        for (var i = 0, child; child = next.children[i]; i++){
-          frontier.enq(child);
-        }
-      }
-      next = frontier.deq();
+  function copyRows(state, from, to) {
+    var i = from;
+    while (i < to) {
+      state.items.push(state.old[i]);
+      i = appendGroupRows(state, state.groups[state.old[i].id], i + 1);
     }
-    return this;
-  };
+  }
 
   /**
-   * Collapse all nodes at a certain depth
-   * @method  collapseAt
-   * @param  {Number} depth   The depth to collapse at
-   * @param  {Boolean} refresh Whether to refresh the DataView.
+   * Append the rows of a parent's pending nodes to the new items of a flush.
+   * If they are in order, the parent's other children are laid out with them.
+   * @private
+   * @param {Number} next Index of the old row after the parent's.
+   * @return {Number} Index of the next old row to copy.
    */
-  Tree.prototype.collapseAt = function(depth, refresh) {
-    if (depth === 0) {
-      return this.collapse(false, refresh);
-    }
-    this.bfTraverse(function(node) {
-      if (node.depth === depth && node instanceof Tree) {  // only collapse trees on the way
-        node.collapse(false, true);  // Make sure item is updated
+  function appendGroupRows(state, group, next) {
+    var i;
+    if (!group) {
+      return next;
+    }
+    if (!group.ordered) {
+      for (i = group.nodes.length - 1; i >= 0; i--) {
+        appendAll(state.items, rowsOf(group.nodes[i]));
       }
-    }, depth);
-    if (refresh) {
-      this.dataView.refresh();
+      return next;
     }
-    return this;
-  };
-
-  Tree.prototype.expandAt = function(depth, refresh) {
-    if (depth === 0) {
-      return this.expand(false, refresh);
-    }
-    this.bfTraverse(function(node) {
-      if (!node.isRoot() && node.depth < depth) {
-        node.expand(false, true);  // Make sure item is updated
+    var children = group.parent.children;
+    for (i = 0; i < children.length; i++) {
+      var child = children[i];
+      var start = group.ids[child.id] ? undefined : state.dataView.getIdxById(child.id);
+      if (start === undefined) {
+        appendAll(state.items, rowsOf(child));
+      } else {
+        copyRows(state, start, subtreeEnd(state.dataView, start));
       }
-    }, depth);
-    if (refresh) {
-      this.dataView.refresh();
     }
-    return this;
-  };
+    // The parent's old rows were all laid out
+    return group.parent.isRoot() ? state.old.length : subtreeEnd(state.dataView, next - 1);
+  }
 
-  Tree.prototype.isHidden = function() {
-    return this.getItem()._hidden;
-  };
+  /**
+   * Returns the index just past the rows of the subtree whose top row is at `idx`.
+   * Descendants always directly follow their ancestor in the DataView.
+   * @private
+   */
+  function subtreeEnd(dataView, idx) {
+    var depth = dataView.getItemByIdx(idx)._node.depth;
+    var end = idx + 1;
+    var len = dataView.getItems().length;
+    while (end < len && dataView.getItemByIdx(end)._node.depth > depth) {
+      end++;
+    }
+    return end;
+  }
 
   /**
-   * Expand this and all children nodes by setting the item's _collapsed attribute
-   * @method  expand
+   * Computes the DataView index where a node's rows belong, given its position
+   * in its parent's children.
+   * @private
    */
-  Tree.prototype.expand = function(notFirst, refresh) {
-    var item;
-    if (!this.isRoot()){
-      item = this.getItem();
-      if (!notFirst) {
-        item._collapsed = false;
-      }
-      item._hidden = false;
+  function computeInsertIdx(node, parent, dataView) {
+    var position = parent.children.indexOf(node);
+    var prev = parent.children[position - 1];
+    if (prev && isInDataView(prev)) {
+      return subtreeEnd(dataView, dataView.getIdxById(prev.id));
     }
-    // Expand all children
-    for (var i = 0, node; node = this.children[i]; i++) {
-      if (!item._collapsed) { // Maintain subtree's collapsed state
-        node.expand(true);
-      }
-    }
-    if (!this.isRoot() && refresh) {
-      this.dataView.updateItem(item.id, item);
-    }
-    return this;
-  };
+    return parent.isRoot() ? 0 : dataView.getIdxById(parent.id) + 1;
+  }
 
-  Tree.prototype.isRoot = function() {
-    return this.depth === 0;
-  };
+  /**
+   * Computes the index in the DataView where to insert an item, based on
+   * the item's parentID property.
+   * @private
+   */
+  function computeAddIdx(item, dataView) {
+    var parent = dataView.getItemById(item.parentID);
+    if (parent) {
+      return dataView.getIdxById(parent.id) + 1;
+    }
+    return 0;
+  }
 
   /**
-   * @method isCollapsed
-   * @return {Boolean} Whether the node is collapsed.
+   * Copy a node's view state (collapsed and hidden) onto an item object.
+   * @private
    */
-  Tree.prototype.isCollapsed = function() {
-    return Boolean(this.getItem()._collapsed);
-  };
+  function withViewState(node, item) {
+    item._collapsed = node._collapsed;
+    item._hidden = node._hidden;
+    return item;
+  }
 
-    /**
-     * @method getPathToRoot
-     * @param {Array} pathSoFar IDs of any path being passed in. Used by leafs.
-     * @return {Array} Node IDs from current to root
-     *
-     *
-     */
-    Tree.prototype.getPathToRoot = function(pathSoFar) {
-        var path = [];
-        if(typeof pathSoFar !== 'undefined' && pathSoFar instanceof Array){
-            path = pathSoFar;
-        }
-        var self = this;
-        var item = self.getItem();
-        do {
-            path.push(item.id);
-            item = self.dataView.getItemById(item.parentID);
-        } while (typeof item !== 'undefined' && item.parentID !== null);
-        return path;
-    };
+  /**
+   * Mirror a node's view state onto its item, if it has been created.
+   * @private
+   * @return {Object} The updated item or null.
+   */
+  function syncViewState(node) {
+    var item = node._item;
+    if (item) {
+      withViewState(node, item);
+    }
+    return item;
+  }
 
   /**
-   * Leaf representation
-   * @class  HGrid.Leaf
-   * @constructor
+   * Create the item object that shows a node: a copy of its data, with the
+   * node's id, kind, position, and view state.
+   * @private
    */
-  function Leaf(data) {
-    this.data = data;
-    this.id  = data.id ? data.id : getUID();
-    this.parentID = null; // Set by parent
-    this.depth = null;
-    this.children = [];
-    this.dataView = null; // Set by parent
+  function createItem(node) {
+    var item = normalizeItem(node, $.extend({}, {
+      id: node.id,
+      parentID: node.parentID,
+      _node: node,
+      depth: node.depth
+    }, node.data));
+    if (node._agg) {
+      item._agg = node._agg;
+    }
+    if (node.kind === ALIAS) {
+      withTargetData(node, item);
+    }
+    return withViewState(node, item);
   }
+
   /**
-   * Construct a new Leaf from an object.
-   * @method  fromObject
-   * @param obj
-   * @static
-   * @return {Leaf} The constructed Leaf.
+   * The item that shows a node. A node keeps its item, which is created when
+   * first needed, whether or not the node has a row in the DataView.
+   * @private
    */
-  Leaf.fromObject = function(obj, parent, args) {
-    args = args || {};
-    var leaf = new Leaf(obj);
-    if (parent) {
-      leaf.depth = parent.depth + 1;
-      leaf.parentID = parent.id;
-      leaf.dataView = parent.dataView;
+  function itemOf(node) {
+    var item = node._item;
+    if (!item) {
+      item = node._item = createItem(node);
+    } else {
+      item.parentID = node.parentID;
+      item.depth = node.depth;
+      withViewState(node, item);
     }
-    if (args.collapse) {
-      // TODO: Hardcoded. Change this when _collapsed and _hidden states
-      // are saved on Tree and Leaf objects, and not just on the dataview items
-      leaf.data._collapsed = true;
+    return item;
+  }
+
+  // Make an object the node's item, and redraw the node's row, if it has one
+  function putItem(node, item) {
+    node._item = item;
+    if (isInDataView(node)) {
+      node.dataView.updateItem(node.id, item);
     }
-    return leaf;
-  };
+  }
+
   /**
-   * @method getPathToRoot
-   * @return {Array} path of the leaf item to the root.
+   * Give an item its node's id and kind, which may come from other data fields
+   * or values (see the `fields` option).
+   * @private
    */
+  function normalizeItem(node, item) {
+    item.id = node.id;
+    item.kind = node.kind;
+    return item;
+  }
 
-    Leaf.prototype.getPathToRoot = function() {
-       var parentID = this.parentID;
-        if(parentID === 'root'){
-            return [this.id];
-        }else {
-            var parent = this.dataView.getItemById(this.parentID)._node;
-            return parent.getPathToRoot([this.id]);
+  // Fill in an alias's item with the fields of its target that the alias does
+  // not set itself, and mark the item as broken if there is no target
+  function withTargetData(node, item) {
+    var target = aliasTarget(node);
+    item._broken = !target;
+    if (target) {
+      for (var key in target.data) {
+        if (target.data.hasOwnProperty(key) && !node.data.hasOwnProperty(key) &&
+            NODE_FIELDS.indexOf(key) === -1) {
+          item[key] = target.data[key];
         }
-    };
+      }
+    }
+    return item;
+  }
+
   /**
-   * Get the leaf's corresponding item from the dataview.
+   * Get the node's item: the object that its row in the DataView shows.
+   * Hidden nodes have no row, but still have an item.
    * @method  getItem
+   * @return {Object} The item, or undefined for a root.
    */
-  Leaf.prototype.getItem = function() {
-    return this.dataView.getItemById(this.id);
+  Tree.prototype.getItem = Leaf.prototype.getItem = function() {
+    return this.isRoot() ? undefined : itemOf(this);
   };
 
   /**
-   * Collapse this leaf by setting its item's _collapsed property.
-   * @method  collapse
+   * Insert a node's rows, which are its item and the items of its
+   * descendants, into the DataView just below its parent's row.
+   * @method  insertIntoDataView
+   * @param {HGrid.Tree|HGrid.Leaf} component
    */
-   /*jshint unused: false */
-  Leaf.prototype.collapse = function(hideSelf, refresh) {
-    var item = this.getItem();
-    item._collapsed = item._hidden = true;
+  Tree.prototype.insertIntoDataView = function(component) {
+    var rows = rowsOf(component);
+    if (rows.length) {
+      insertRows(this.dataView, computeAddIdx(rows[0], this.dataView), rows);
+    }
     return this;
   };
 
+  Tree.prototype.ensureDataView = Tree.prototype.ensureView;
+
   /**
-   * Expand this leaf by setting its item's _collapse property
-   * @method  expand
+   * Update the dataview with this tree's data, as new items for the nodes
+   * that are shown. This should only be called on a root node.
    */
-  Leaf.prototype.expand = function() {
-    var item = this.getItem();
-    item._collapsed = item._hidden = false;
+  Tree.prototype.updateDataView = function(onlySetItems) {
+    if (!this.dataView) {
+      throw new HGrid.Error('Tree does not have a DataView. updateDataView must be called on a root node.');
+    }
+    if (!onlySetItems) {
+      this.ensureDataView();
+    }
+    this.dataView.beginUpdate();
+    this.dataView.setItems(rowsOf(this, true));
+    this.dataView.endUpdate();
     return this;
   };
 
-  Leaf.prototype.remove = noop;
+  /**
+   * Convert the tree, including hidden nodes, to new SlickGrid-compatible data
+   *
+   * @param {Array} result Memoized result.
+   * @return {Array} Array of SlickGrid data
+   */
+  Tree.prototype.toData = function(result) {
+    // Add this node's data, unless it's a root
+    var data = result || [];
+    if (this.depth !== 0) {
+      data.push(createItem(this));
+    }
+    for (var i = 0, len = this.children.length; i < len; i++) {
+      var child = this.children[i];
+      child.toData(data);
+    }
+    return data;
+  };
+
+  Leaf.prototype.ensureDataView = Leaf.prototype.ensureView;
 
   /**
    * Convert the Leaf to SlickGrid data format
@@ -534,60 +537,76 @@ this.HGrid = (function($) {
    * @return {Object}        The leaf an item object.
    */
   Leaf.prototype.toData = function(result) {
-    var item = $.extend({}, {
-      id: this.id,
-      parentID: this.parentID,
-      _node: this,
-      depth: this.depth
-    }, this.data);
+    var item = createItem(this);
     if (result) {
       result.push(item);
     }
     return item;
   };
 
-  Leaf.prototype.ensureDataView = function(dataView) {
-    if (!dataView) {
-      dataView = this.dataView;
+  // The model's view hooks. See HGridTree.
+
+  Tree.prototype._viewInsert = function(component, ordered) {
+    var root = this.nodeIndex[ROOT_ID];
+    if (root && root._pendingInserts) { // See deferInserts
+      root._pendingInserts.push({node: component, ordered: ordered});
+    } else if (ordered) {
+      insertAtPosition(component, this, this.dataView);
+    } else {
+      this.insertIntoDataView(component);
     }
-    this.dataView = dataView;
-    return this;
   };
 
-  Leaf.prototype.sort = noop;
+  // Insert the node's rows, if this tree is displayed in the DataView. The
+  // taken rows are the node's items, so they are reused.
+  Tree.prototype._viewPut = function(node) {
+    var dataView = this.dataView;
+    if (dataView && (this.isRoot() || isInDataView(this))) {
+      insertRows(dataView, computeInsertIdx(node, this, dataView), rowsOf(node));
+    }
+  };
 
-  Leaf.prototype.isRoot = function() {
-    return this.depth === 0;
+  Tree.prototype._viewRefresh = function() {
+    this.dataView.refresh();
   };
 
-  Leaf.prototype.empty = function() {
-    var item = this.getItem();
-    this.dataView.deleteItem(item.id);
-    return this;
+  // Remove the node's rows, along with those of its descendants
+  Tree.prototype._viewRemove = Leaf.prototype._viewRemove = function() {
+    this._viewTake();
   };
 
-  // An efficient, lightweight queue implementation, adapted from Queue.js by Steven Morley
-  function Queue() {
-    this.queue = [];
-    this.offset = 0;
-  }
-  Queue.prototype.enq = function(item) {
-    this.queue.push(item);
+  Tree.prototype._viewTake = Leaf.prototype._viewTake = function() {
+    var dataView = this.dataView;
+    var start = dataView ? dataView.getIdxById(this.id) : undefined;
+    if (start === undefined) {
+      return null;
+    }
+    var end = subtreeEnd(dataView, start);
+    var items = dataView.getItems().slice(start, end);
+    spliceRows(dataView, start, end, []);
+    return items;
   };
-  Queue.prototype.deq = function() {
-    if (this.queue.length === 0) {
-      return undefined;
+
+  // Hidden nodes have no row, but their items are kept up to date
+  Tree.prototype._viewUpdate = Leaf.prototype._viewUpdate = function(changes) {
+    if (this._item) {
+      putItem(this, $.extend(this._item, changes));
     }
-    // store item at front of queue
-    var item = this.queue[this.offset];
-    if (++ this.offset * 2 >= this.queue.length) {
-      this.queue = this.queue.slice(this.offset);
-      this.offset = 0;
+  };
+
+  // Splice the rows of the node's contents in or out
+  Tree.prototype._viewSync = Leaf.prototype._viewSync = function(refresh) {
+    var item = syncViewState(this);
+    if (item && isInDataView(this)) {
+      syncRows(this);
+      if (refresh && isInDataView(this)) {
+        this.dataView.updateItem(item.id, item); // need to update the item index
+      }
     }
-    return item;
   };
-  Queue.prototype.isEmpty = function() {
-    return this.queue.length === 0;
+
+  Tree.prototype._isInView = Leaf.prototype._isInView = function() {
+    return isInDataView(this);
   };
 
   ////////////////
@@ -631,7 +650,7 @@ this.HGrid = (function($) {
    * @return {String}      The rendered HTML
    */
   function asName(item, html) {
-    var cssClass = item.kind === FOLDER ? HGrid.Html.folderNameClass : HGrid.Html.itemNameClass;
+    var cssClass = kindOf(item).cssClass;
     var openTag = '<span class="' + HGrid.Html.nameClass +  ' ' + cssClass + '" data-id="' + item.id + '">';
     var closingTag = '</span>';
     return [openTag, html, closingTag].join('');
@@ -683,7 +702,15 @@ this.HGrid = (function($) {
       .replace(/\n/g, "\\n")
       .replace(/\r/g, "\\r")
       .replace(/'/g, "\\'")
-      .replace(/\{\{\s*(\w+)\s*\}\}/g, "'+(_.$1?(_.$1+''):(_.$1===0?0:''))+'") + "'"
+      .replace(/\{\{\s*([\w.]+)\s*\}\}/g, function(match, path) {
+        // Nested fields, e.g. {{_agg.size}}, are blank if an object is missing
+        var parts = path.split('.');
+        var value = '_.' + parts[0];
+        for (var i = 1; i < parts.length; i++) {
+          value = '(' + value + '||{}).' + parts[i];
+        }
+        return "'+(" + value + "?(" + value + "+''):(" + value + "===0?0:''))+'";
+      }) + "'"
     );
     return tpl_fn_cache[template](data);
   };
@@ -697,21 +724,98 @@ this.HGrid = (function($) {
     fileIcon: '<i class="hg-file"></i>',
     // Placeholder for error messages. Upload error messages will be interpolated here
     errorElem: '&nbsp;<span class="error" data-upload-errormessage></span>',
+    // Badges shown after the names of aliases and aliases whose target is gone
+    aliasBadge: '<span class="hg-alias-badge"></span>',
+    brokenAliasBadge: '<span class="hg-alias-badge hg-alias-broken"></span>',
     // CSS Classes
     buttonClass: 'hg-btn',
     nameClass: 'hg-name',
     folderNameClass: 'hg-folder-name',
     itemNameClass: 'hg-item-name',
+    aliasNameClass: 'hg-alias-name',
     toggleClass: 'hg-toggle'
   };
 
-  ///////////
-  // HGrid //
-  ///////////
+  // How the item kinds of the model are displayed and handled. See
+  // `HGrid.registerKind`.
+  $.extend(KINDS[FOLDER], {
+    icon: HGrid.Html.folderIcon,
+    cssClass: HGrid.Html.folderNameClass,
+    view: null,
+    uploads: true,
+    drops: true,
+    draggable: false
+  });
+  $.extend(KINDS[ITEM], {
+    icon: HGrid.Html.fileIcon,
+    cssClass: HGrid.Html.itemNameClass,
+    view: null,
+    uploads: false,
+    drops: false,
+    draggable: true
+  });
+  // Aliases show their target's icon and fields, and a badge. See aliasTarget.
+  KINDS[ALIAS] = $.extend({}, KINDS[ITEM], {
+    name: ALIAS,
+    cssClass: HGrid.Html.itemNameClass + ' ' + HGrid.Html.aliasNameClass,
+    view: function(item) {
+      var target = aliasTarget(item._node);
+      var name = item[this.options.fields.name];
+      return (target ? KINDS[target.kind] : KINDS[ITEM]).icon + ' ' +
+        (name == null ? '' : name) +
+        (target ? HGrid.Html.aliasBadge : HGrid.Html.brokenAliasBadge);
+    }
+  });
+  HGrid.Kinds = KINDS;
 
-  // Formatting helpers public interface
-  HGrid.Fmt = HGrid.Format = {
-    withIndent: withIndent,
+  /**
+   * Register a kind of item, or change a registered one. Data whose `kind` is
+   * the kind's name are displayed and handled as described by the options.
+   *
+   * ```
+   * HGrid.registerKind('dataset', {container: true, icon: '<i class="hg-dataset"></i>'});
+   * ```
+   *
+   * Options:
+   *  - container: Whether items of this kind contain other items, like folders.
+   *  - icon: HTML for the icon shown in the name column.
+   *  - cssClass: CSS class of the item's name element.
+   *  - view: Template or function used for this kind in the name column,
+   *    unless the column schema has a `<kind>View`, e.g. `datasetView`.
+   *    Defaults to the icon followed by the name.
+   *  - uploads: Whether files can be uploaded to items of this kind.
+   *  - drops: Whether items can be dropped into items of this kind.
+   *  - draggable: Whether items of this kind can be dragged.
+   * Options that are not given are those of the kind being changed, or else
+   * of folders for containers and of items otherwise.
+   * @method registerKind
+   * @static
+   * @param {String} name
+   * @param {Object} [options]
+   * @return {Object} The kind.
+   */
+  HGrid.registerKind = function(name, options) {
+    if (typeof name !== 'string' || name === '') {
+      throw new HGrid.Error('Kind name must be a non-empty string.');
+    }
+    options = options || {};
+    var base = KINDS[name] || (options.container ? KINDS[FOLDER] : KINDS[ITEM]);
+    KINDS[name] = $.extend({}, base, options, {name: name});
+    return KINDS[name];
+  };
+
+  // The registered kind of an item, or else folder or item by its node type
+  function kindOf(item) {
+    return KINDS[item.kind] || (item._node instanceof Tree ? KINDS[FOLDER] : KINDS[ITEM]);
+  }
+
+  ///////////
+  // HGrid //
+  ///////////
+
+  // Formatting helpers public interface
+  HGrid.Fmt = HGrid.Format = {
+    withIndent: withIndent,
     asName: asName,
     makeIndentElem: makeIndentElem,
     sanitized: sanitized,
@@ -725,19 +829,19 @@ this.HGrid = (function($) {
     download: {
       on: 'click',
       callback: function(evt, item) {
-        this.options.onClickDownload.call(this, evt, item);
+        callback(this, 'onClickDownload', [evt, item]);
       }
     },
     delete: {
       on: 'click',
       callback: function(evt, item) {
-        this.options.onClickDelete.call(this, evt, item);
+        callback(this, 'onClickDelete', [evt, item]);
       }
     },
     upload: {
       on: 'click',
       callback: function(evt, item) {
-        this.options.onClickUpload.call(this, evt, item);
+        callback(this, 'onClickUpload', [evt, item]);
       }
     },
     noop: {
@@ -746,6 +850,9 @@ this.HGrid = (function($) {
     }
   };
 
+  HGrid.Comparators = Comparators;
+  HGrid.Aggregates = core.Aggregates;
+
   // Predefined column schemas
   HGrid.Col = HGrid.Columns = {
     // Name field schema
@@ -753,13 +860,14 @@ this.HGrid = (function($) {
       id: 'name',
       name: 'Name',
       sortkey: 'name',
-      folderView: HGrid.Html.folderIcon + ' {{name}}',
-      itemView: HGrid.Html.fileIcon + ' {{name}}',
+      comparator: 'natural',
+      // Items are shown with their kind's view: by default, the kind's icon
+      // and the name. See HGrid.registerKind.
       sortable: true,
       indent: DEFAULT_INDENT,
       isName: true,
       showExpander: function(item, args) {
-        return item.kind === HGrid.FOLDER &&
+        return kindOf(item).container &&
                 (item._node.children.length && item.depth || args.lazyLoad) &&
                 !item._processing;
       }
@@ -801,6 +909,7 @@ this.HGrid = (function($) {
    * Default options object
    * @class  defaults
    */
+  /*jshint unused: false */
   var defaults = {
     /**
      * The data for the grid.
@@ -823,6 +932,27 @@ this.HGrid = (function($) {
     fetchSuccess: function(data, item) {},
     fetchError: function(error, item) {},
     fetchStart: function(item) {},
+    /**
+     * Unload the contents of lazy-loaded folders that are collapsed and were
+     * not used recently, so that long sessions do not keep every folder ever
+     * fetched. A folder's contents are fetched again when it is next expanded.
+     * `maxNodes` is the most nodes to keep in the grid, and `maxAge` the time
+     * (in ms) after which a collapsed folder is unloaded. Either may be
+     * omitted. See `evictFolders`.
+     * Example:
+     *  lazyCache: {maxNodes: 10000, maxAge: 10 * 60 * 1000}
+     * @property [lazyCache]
+     * @type {Object}
+     */
+    lazyCache: null,
+    /**
+     * Called after the contents of a folder are unloaded because of the
+     * `lazyCache` option. They are fetched again when the folder is next
+     * expanded.
+     * @property [folderEvicted]
+     * @param {Object} item The folder item.
+     */
+    folderEvicted: function(item) {},
     /**
      * Enable uploads (requires DropZone)
      * @property [uploads]
@@ -860,6 +990,70 @@ this.HGrid = (function($) {
      * @property [slickgridOptions]
      */
     slickgridOptions: {},
+    /**
+     * Allow sorting on multiple columns by shift-clicking column headers.
+     * @property [multiColumnSort]
+     * @type {Boolean}
+     */
+    multiColumnSort: true,
+    /**
+     * Always list folders before items when sorting.
+     * @property [foldersFirst]
+     * @type {Boolean}
+     */
+    foldersFirst: false,
+    /**
+     * Separator between names in item paths. See `getPath` and `getByPath`.
+     * @property [pathSeparator]
+     * @type {String}
+     */
+    pathSeparator: '/',
+    /**
+     * Item field used as an item's name in paths. Defaults to the name field
+     * (see `fields`).
+     * @property [pathField]
+     * @type {String}
+     */
+    pathField: null,
+    /**
+     * Whether to validate data before they are added to the grid, by the
+     * constructor, `addData`, `addItem`, and lazy loading. Malformed data,
+     * e.g. with duplicate ids or unknown kinds, throw an HGrid.Error.
+     * @property [strict]
+     * @type {Boolean}
+     */
+    strict: false,
+    /**
+     * Whether the data given to the constructor, `addData`, and lazy loading
+     * are flat lists of rows that reference their parent folder by
+     * `parentID` (see `fields`), rather than nested data.
+     * @property [flat]
+     * @type {Boolean}
+     */
+    flat: false,
+    /**
+     * Names of the data fields that hold an item's `id`, `name`, `kind`,
+     * `children`, and `parentID` (in flat lists), and the values of the kind
+     * field for a `folder` and an `item`. Only the fields that differ from the
+     * defaults need be given.
+     * Example:
+     *  fields: {kind: 'type', folder: 'dir', item: 'file', name: 'title', children: 'contents'}
+     * @property [fields]
+     * @type {Object}
+     */
+    fields: DEFAULT_FIELDS,
+    /**
+     * Aggregates of the items below each folder, e.g. their total size,
+     * kept up to date as items are added, removed, moved, and changed. Each
+     * folder's item has them as `_agg`, so that column views can show them,
+     * e.g. `folderView: '{{_agg.totalSize}}'`. See `HGridTree.Tree#aggregate`
+     * for the definitions.
+     * Example:
+     *  aggregates: {totalSize: {type: 'sum', field: 'size'}, fileCount: 'count'}
+     * @property [aggregates]
+     * @type {Object}
+     */
+    aggregates: null,
     /**
      * URL to send upload requests to. Can be either a string of a function
      * that receives a data item.
@@ -921,6 +1115,75 @@ this.HGrid = (function($) {
      * @property [onItemAdded]
      */
     onItemAdded: function(item) {},
+    /**
+     * Callback executed after an item is moved to another folder.
+     * @property [onItemMoved]
+     * @param {Object} item The moved item
+     * @param {Object} from The previous parent folder (undefined if the root)
+     * @param {Object} to The new parent folder (undefined if the root)
+     */
+    onItemMoved: function(item, from, to) {},
+    /**
+     * Node events, emitted by the grid's tree whenever it changes, no matter
+     * which API caused the change. Each receives an event object with the
+     * `node` and, if it is displayed, its `item`. See `onNodeAdded`.
+     *
+     * Called after a node is added. `event.parent` is the parent node and
+     * `event.index` the node's position among its children.
+     * @property [onNodeAdded]
+     */
+    onNodeAdded: function(event) {},
+    /**
+     * Called after a node is removed, along with its descendants.
+     * `event.parent` is the node's former parent.
+     * @property [onNodeRemoved]
+     */
+    onNodeRemoved: function(event) {},
+    /**
+     * Called after a node is moved. `event.from` and `event.to` are the old
+     * and new parents.
+     * @property [onNodeMoved]
+     */
+    onNodeMoved: function(event) {},
+    /**
+     * Called after a node's data change. `event.changes` has the changed
+     * fields.
+     * @property [onNodeChanged]
+     */
+    onNodeChanged: function(event) {},
+    /**
+     * Called after a folder is expanded.
+     * @property [onNodeExpanded]
+     */
+    onNodeExpanded: function(event) {},
+    /**
+     * Called after a folder is collapsed.
+     * @property [onNodeCollapsed]
+     */
+    onNodeCollapsed: function(event) {},
+    /**
+     * Called after an operation is undone, e.g. to send a compensating request
+     * to the server. Operations are objects with a `type` ("add", "remove",
+     * "move", "patch", or "batch") and the fields needed to reverse them:
+     *  - add, remove: `id`, `parentID`, `index`, and `item` (the item's data)
+     *  - move: `id`, `from`, `fromIndex`, `to`, `toIndex` (parent ids and
+     *    positions)
+     *  - patch: `id`, `changes`, and `previous` (the values before the changes)
+     *  - batch: `operations`, the operations recorded by a transaction
+     * @property [onUndo]
+     */
+    onUndo: function(operation) {},
+    /**
+     * Called after an operation is redone. See `onUndo`.
+     * @property [onRedo]
+     */
+    onRedo: function(operation) {},
+    /**
+     * Max number of operations kept in the undo history. 0 disables undo.
+     * @property [undoLimit]
+     * @type {Number}
+     */
+    undoLimit: 100,
     // Dragging related callbacks
     onDragover: function(evt, item) {},
     onDragenter: function(evt, item) {},
@@ -929,7 +1192,8 @@ this.HGrid = (function($) {
     /**
      *  Called when a column is sorted.
      *  @param {Object} event
-     *  @param {Object} column The column definition for the sorted column.
+     *  @param {Object} column The column definition for the sorted column,
+     *                        or null if the sort was removed.
      *  @param {Object} args SlickGrid sorting args.
      */
     onSort: function(event, column, args) {},
@@ -1039,7 +1303,8 @@ this.HGrid = (function($) {
      * @return {Boolean}      Whether or not to display an item.
      */
     searchFilter: function (item, searchText) {
-      return item.name.toLowerCase().indexOf(searchText) !== -1;
+      var name = item[this.options.fields.name];
+      return name != null && String(name).toLowerCase().indexOf(searchText) !== -1;
     },
     /**
      * Function that determines whether a folder can be uploaded to.
@@ -1067,19 +1332,17 @@ this.HGrid = (function($) {
   HGrid.ROOT_ID = ROOT_ID;
   HGrid.FOLDER = FOLDER;
   HGrid.ITEM = ITEM;
+  HGrid.ALIAS = ALIAS;
+  HGrid.DEFAULT_FIELDS = DEFAULT_FIELDS;
 
   /**
-   * Custom Error for HGrid-related errors.
+   * Custom Error for HGrid-related errors. The tree model throws the same
+   * errors, as `HGridTree.Error`.
    *
    * @class  HGrid.Error
    * @constructor
    */
-  HGrid.Error = function(message) {
-    Error.call(this, message);
-    this.name = 'HGrid.Error';
-    this.message = message || '';
-  };
-  HGrid.Error.prototype = Object.create(Error.prototype);
+  HGrid.Error = core.Error;
 
   /**
    * Construct an HGrid.
@@ -1095,9 +1358,24 @@ this.HGrid = (function($) {
     self.element = $(selector);
     // Merge defaults with options passed in
     self.options = $.extend({}, defaults, options);
+    self.options.fields = resolveFields(self.options.fields);
+    if (self.options.pathField == null) {
+      self.options.pathField = self.options.fields.name;
+    }
     self.grid = null; // Set upon calling _initSlickGrid()
     self.dropzone = null; // Set upon calling _initDropzone()
     self.plugins = []; // Registered plugins
+    // The active sort as an array of {columnId, sortAsc} objects, set by onSort
+    self.currentSort = null;
+    // Undo/redo history. See `undo` and `redo`.
+    self._undoStack = [];
+    self._redoStack = [];
+    self._transaction = null; // Operations recorded by the current transaction
+    self._replaying = false; // Whether an undo or redo is being applied
+    self._aliases = {}; // Alias nodes by target id. See `resolveAlias`.
+    // Loaded folders as {node, usedAt} objects, least recently used first.
+    // See `evictFolders`.
+    self._cachedFolders = [];
     if (self.options.searchInput) {
       var $searchInput = $(self.options.searchInput);
       if ($searchInput.length) {
@@ -1120,6 +1398,55 @@ this.HGrid = (function($) {
     }
   }
 
+  // Grids emit events for each callback option, so that more than one
+  // listener can subscribe to them. See `callback`.
+  HGrid.prototype.on = Events.on;
+  HGrid.prototype.once = Events.once;
+  HGrid.prototype.off = Events.off;
+
+  /**
+   * Call the listeners subscribed to an event.
+   * @method  emit
+   * @param {String} type The event type
+   * @param {*} [args]* Arguments passed to the listeners
+   */
+  HGrid.prototype.emit = function(type) {
+    fire(this, type, Array.prototype.slice.call(arguments, 1));
+    return this;
+  };
+
+  /**
+   * Call a callback option, then the listeners subscribed to its event. An
+   * option's event is its name without the "on" prefix, e.g. `onSort` emits
+   * "sort" and `uploadSuccess` emits "uploadSuccess".
+   * @private
+   * @return The option's return value.
+   */
+  function callback(grid, name, args) {
+    var ret = grid.options[name].apply(grid, args);
+    fire(grid, callbackEvent(name), args);
+    return ret;
+  }
+
+  function callbackEvent(name) {
+    return name.replace(/^on([A-Z])/, function(match, first) {
+      return first.toLowerCase();
+    });
+  }
+
+  /**
+   * Wrap a Slick or Dropzone event handler, so that listeners subscribed to
+   * `type` are called after it.
+   * @private
+   */
+  function relay(grid, handler, type) {
+    return function() {
+      var ret = handler.apply(grid, arguments);
+      fire(grid, type, arguments);
+      return ret;
+    };
+  }
+
   /**
    * Collapse all folders
    * @method  collapseAll
@@ -1139,7 +1466,7 @@ this.HGrid = (function($) {
     item = typeof item === 'object' ? item : this.getByID(item);
     item._node.empty(removeFolder);
     if (!removeFolder) {
-      this.getDataView().updateItem(item.id, item);
+      this.updateItem(item);
     }
     return this;
   };
@@ -1171,17 +1498,16 @@ this.HGrid = (function($) {
   HGrid.prototype._initData = function(data) {
     var self = this;
     if (data) {
-      // Tree.fromObject expects an Array, but `data` might be an array or an
-      // object with `data' property
-      if (Array.isArray(data)) {
-        self.tree = Tree.fromObject(data);
-      } else {
-        self.tree = Tree.fromObject(data.data);
-      }
-      self.tree.updateDataView(); // Sync Tree with its wrapped dataview
+      self.tree = Tree.fromObject(toTreeData(self, data, null), null, {fields: self.options.fields});
     } else {
       self.tree = new Tree();
     }
+    if (self.options.aggregates) {
+      self.tree.aggregate(self.options.aggregates);
+    }
+    if (data) {
+      self.tree.updateDataView(); // Sync Tree with its wrapped dataview
+    }
     return self;
   };
 
@@ -1204,7 +1530,7 @@ this.HGrid = (function($) {
       this.collapseAll();
     }
     this.refreshExpandState();
-    this.options.init.call(this);
+    callback(this, 'init', []);
     return this;
   };
 
@@ -1245,13 +1571,27 @@ this.HGrid = (function($) {
     var itemView = schema.itemView;
     var showExpander = schema.showExpander;
     var indentWidth = typeof schema.indent === 'number' ? schema.indent : DEFAULT_INDENT;
+    var nameField = self.options.fields.name;
     var formatter = function(row, cell, value, colDef, item) {
       var rendererArgs = {
         colDef: colDef, row: row, cell: cell, indent: schema.indent, lazyLoad: self.isLazy()
       };
-      view = item.kind === FOLDER ? folderView : itemView;
+      view = schema[item.kind + 'View'];
+      if (view === undefined) {
+        var kind = kindOf(item);
+        if (schema.isName) { // Default view for kinds other than folder and item
+          view = kind.view || (kind.icon ? kind.icon + ' ' : '') + '{{name}}';
+        } else {
+          view = kind.container ? folderView : itemView;
+        }
+      }
       if (typeof view === 'function') {
         html = view.call(self, item, rendererArgs); // Returns the rendered HTML
+      } else if (schema.isName && nameField !== 'name') {
+        // In the name column's templates, {{name}} is the item's name field
+        var context = $.extend({}, item);
+        context.name = item[nameField];
+        html = HGrid.Format.tpl(view, context);
       } else {
         // Use template
         html = HGrid.Format.tpl(view, item);
@@ -1279,7 +1619,14 @@ this.HGrid = (function($) {
   // Hgrid column schemas => Slickgrid columns
   HGrid.prototype._makeSlickgridColumns = function(colSchemas) {
     var self = this;
+    var nameField = self.options.fields.name;
     var columns = colSchemas.map(function(col) {
+      // Copy the schema, since predefined schemas are shared by all grids and
+      // the formatter belongs to this one
+      col = $.extend({}, col);
+      if (col.isName && col.sortkey === 'name') {
+        col.sortkey = nameField; // Sort on the name field
+      }
       if (!('formatter' in col)) {
         // Create the formatter function from the columns definition's
         // "folderView" and "itemView" properties
@@ -1317,7 +1664,8 @@ this.HGrid = (function($) {
     var self = this;
     // Convert column schemas to Slickgrid column definitions
     var columns = self._makeSlickgridColumns(self.options.columns);
-    var options = $.extend({}, requiredSlickgridOptions, self.options.slickgridOptions);
+    var options = $.extend({}, requiredSlickgridOptions,
+      {multiColumnSort: self.options.multiColumnSort}, self.options.slickgridOptions);
     self.grid = new Slick.Grid(self.element.selector, self.tree.dataView,
       columns,
       options);
@@ -1347,16 +1695,100 @@ this.HGrid = (function($) {
     }
   };
 
+  // Aliases resolve to their target's path. See `resolveAlias`.
   HGrid.prototype.getPathToRoot = function(id) {
       var node = this.getNodeByID(id);
-      return node.getPathToRoot();
+      return (aliasTarget(node) || node).getPathToRoot();
+  };
+
+  /**
+   * Get an item's path, made of the names of its ancestors and itself.
+   *
+   * ```
+   * grid.getPath(item); // => 'Documents/reports/q3.pdf'
+   * ```
+   * @method  getPath
+   * @param {Object} item An item or id.
+   * @return {String} The path, using `options.pathSeparator` and
+   *                  `options.pathField`.
+   */
+  HGrid.prototype.getPath = function(item) {
+    var field = this.options.pathField;
+    var node = toNode(this, item);
+    if (node.isRoot()) {
+      return '';
+    }
+    var nodes = node.ancestors().reverse();
+    nodes.push(node);
+    return nodes.map(function(each) {
+      return each.data[field];
+    }).join(this.options.pathSeparator);
+  };
+
+  // Find the child of a node whose field has a given (string) value
+  function childByField(node, field, value) {
+    for (var i = 0, child; child = node.children[i]; i++) {
+      if (String(child.data[field]) === value) {
+        return child;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a path, as returned by `getPath`, to an item. If the grid is lazy,
+   * folders along the path whose contents have not been loaded are fetched.
+   *
+   * ```
+   * grid.getByPath('Documents/reports/q3.pdf').done(function(item) { ... });
+   * ```
+   * @method  getByPath
+   * @param {String} path
+   * @return {Promise} A jQuery promise that is resolved with the item, or
+   *                   rejected with an HGrid.Error if there is no item at the
+   *                   path.
+   */
+  HGrid.prototype.getByPath = function(path) {
+    var self = this;
+    var field = self.options.pathField;
+    var names = path.split(self.options.pathSeparator).filter(function(name) {
+      return name !== '';
+    });
+    var result = $.Deferred();
+    var notFound = function() {
+      result.reject(new HGrid.Error('No item at path "' + path + '".'));
+    };
+    var resolveFrom = function(node, i) {
+      if (i === names.length) {
+        return node.isRoot() ? notFound() : result.resolve(node.getItem());
+      }
+      var child = childByField(node, field, names[i]);
+      if (child) {
+        return resolveFrom(child, i + 1);
+      }
+      // The folder's contents may not be loaded yet
+      if (self.isLazy() && node instanceof Tree && !node.isRoot() &&
+          node._load_status !== LOADING_FINISHED) {
+        self.loadFolder(node.getItem()).then(function() {
+          if (node._load_status === LOADING_FINISHED) {
+            resolveFrom(node, i);
+          } else {
+            notFound();
+          }
+        }, notFound);
+      } else {
+        notFound();
+      }
+    };
+    resolveFrom(self.tree, 0);
+    return result.promise();
   };
 
   HGrid.prototype.addHighlight = function(item, highlightClass) {
     var cssClass = highlightClass || this.options.highlightClass;
     this.removeHighlight();
     var idToHighlight;
-    if (item && item.kind === FOLDER) {
+    if (item && kindOf(item).container) {
       idToHighlight = item.id;
     } else {
       idToHighlight = item.parentID;
@@ -1373,6 +1805,136 @@ this.HGrid = (function($) {
     return this;
   };
 
+  /**
+   * Go to an item: expand each of its folders (lazy-loading their contents as
+   * needed), scroll its row into view, and highlight it with `addHighlight`.
+   *
+   * ```
+   * grid.revealItem('Documents/reports/q3.pdf').done(function(item) { ... });
+   * ```
+   * @method  revealItem
+   * @param {Object} idOrPath An item, an id, or a path as accepted by
+   *                          `getByPath`. Strings that are not ids are
+   *                          treated as paths.
+   * @return {Promise} A jQuery promise that is resolved with the item once its
+   *                   row is rendered, or rejected with an HGrid.Error.
+   */
+  HGrid.prototype.revealItem = function(idOrPath) {
+    var self = this;
+    var found;
+    if (idOrPath != null && typeof idOrPath === 'object') {
+      found = $.Deferred().resolve(self.getByID(idOrPath.id));
+    } else if (self.getByID(idOrPath)) {
+      found = $.Deferred().resolve(self.getByID(idOrPath));
+    } else if (typeof idOrPath === 'string') {
+      found = self.getByPath(idOrPath);
+    } else {
+      found = $.Deferred().reject(new HGrid.Error('Item "' + idOrPath + '" does not exist.'));
+    }
+    return found.then(function(item) {
+      if (!item) {
+        return $.Deferred().reject(new HGrid.Error('Item "' + idOrPath + '" does not exist.'));
+      }
+      // Expand folders from the top down, waiting for each to load
+      var expanded = $.Deferred().resolve();
+      self.getAncestors(item).reverse().forEach(function(folder) {
+        expanded = expanded.then(function() {
+          if (self.isCollapsed(folder)) {
+            self.expandItem(folder);
+          }
+          return self.loadFolder(folder);
+        });
+      });
+      return expanded.then(function() {
+        var id = item.id;
+        item = self.getByID(id);
+        var row = self.getDataView().getRowById(id);
+        if (!item || row === undefined) {
+          return $.Deferred().reject(new HGrid.Error('Item "' + id + '" could not be revealed.'));
+        }
+        self.grid.scrollRowIntoView(row);
+        self.grid.render();
+        self.addHighlight(item);
+        return item;
+      });
+    }).promise();
+  };
+
+  /**
+   * Get the item that an alias refers to. Aliases are items of kind
+   * `HGrid.ALIAS` with the id of another item as their `target`. They show
+   * the target's fields, and are updated when the target changes or is
+   * removed. Items that are not aliases resolve to themselves.
+   * @method  resolveAlias
+   * @param {Object} item An item or its id
+   * @return {Object} The target item, or null if the target does not exist.
+   */
+  HGrid.prototype.resolveAlias = function(item) {
+    var target = aliasTarget(toNode(this, item));
+    return target && !target.isRoot() ? target.getItem() || null : null;
+  };
+
+  // Add the aliases in a subtree to, or remove them from, the grid's index of
+  // aliases by target id
+  function indexAliases(grid, node, add) {
+    node.dfTraverse(function(each) {
+      if (each.kind === ALIAS) {
+        var target = each.data.target;
+        var aliases = grid._aliases[target] = grid._aliases[target] || [];
+        var index = aliases.indexOf(each);
+        if (add && index === -1) {
+          aliases.push(each);
+        } else if (!add && index !== -1) {
+          aliases.splice(index, 1);
+        }
+      }
+    });
+  }
+
+  // Forget aliases that were removed from the grid, and update the items of
+  // aliases whose target was removed
+  function pruneAliases(grid) {
+    var index = grid.tree.nodeIndex;
+    for (var target in grid._aliases) {
+      var aliases = grid._aliases[target];
+      for (var i = aliases.length - 1; i >= 0; i--) {
+        var alias = aliases[i];
+        if (index[alias.id] !== alias) {
+          aliases.splice(i, 1);
+        } else if (!index.hasOwnProperty(target) && alias._item && !alias._item._broken) {
+          putItem(alias, alias.toData());
+          refreshAliases(grid, alias, false);
+        }
+      }
+      if (!aliases.length) {
+        delete grid._aliases[target];
+      }
+    }
+  }
+
+  // Update the items of the aliases of a node (and of its descendants, if
+  // `deep`), and of aliases of those aliases
+  function refreshAliases(grid, node, deep, seen) {
+    seen = seen || {};
+    var refresh = function(each) {
+      var aliases = grid._aliases[each.id] || [];
+      for (var i = 0, alias; alias = aliases[i]; i++) {
+        if (!seen.hasOwnProperty(alias.id)) {
+          seen[alias.id] = true;
+          if (alias._item) {
+            putItem(alias, alias.toData());
+          }
+          refreshAliases(grid, alias, false, seen);
+        }
+      }
+    };
+    if (deep) {
+      node.dfTraverse(refresh);
+    } else {
+      refresh(node);
+    }
+  }
+
   HGrid.prototype.folderContains = function(folderId, itemId) {
       return this.getPathToRoot(itemId).indexOf(folderId) >= 0;
   };
@@ -1390,25 +1952,49 @@ this.HGrid = (function($) {
       if (this.canToggle(evt.target)) {
         this.toggleCollapse(item, evt);
       }
-      this.options.onClick.call(this, evt, item);
+      callback(this, 'onClick', [evt, item]);
       return this;
     },
     'onCellChange': function(evt, args) {
-      this.getDataView().updateItem(args.item.id, args.item);
+      this.updateItem(args.item);
       return this;
     },
     'onMouseLeave': function(evt, args) {
       this.removeHighlight();
     },
     'onSort': function(evt, args) {
-      var col = args.sortCol; // column to sort
-      var key = col.field || col.sortkey; // key to sort on
-      if (!key) {
-        throw new HGrid.Error('Sortable column does not define a `sortkey` to sort on.');
+      // With multiColumnSort, Slick passes an array of sorted columns
+      var sortCols = args.multiColumnSort ? args.sortCols :
+        [{sortCol: args.sortCol, sortAsc: args.sortAsc}];
+      if (!sortCols.length) {
+        // Ctrl- or meta-clicking the only sorted column removes the sort
+        this.tree.unsort();
+        this.tree.updateDataView(true);
+        this.currentSort = null;
+        callback(this, 'onSort', [evt, null, args]);
+        return;
+      }
+      var sortSpecs = sortCols.map(function(sortCol) {
+        var col = sortCol.sortCol;
+        var key = col.field || col.sortkey; // key to sort on
+        if (!key) {
+          throw new HGrid.Error('Sortable column does not define a `sortkey` to sort on.');
+        }
+        return {key: key, asc: sortCol.sortAsc, comparator: col.comparator};
+      });
+      var sortOptions = {foldersFirst: this.options.foldersFirst};
+      if (sortSpecs.length === 1) {
+        sortOptions.comparator = sortSpecs[0].comparator;
+        this.tree.sort(sortSpecs[0].key, sortSpecs[0].asc, sortOptions);
+      } else {
+        this.tree.sortBy(sortSpecs, sortOptions);
       }
-      this.tree.sort(key, args.sortAsc);
       this.tree.updateDataView(true);
-      this.options.onSort.call(this, evt, col, args);
+      this.currentSort = sortCols.map(function(sortCol) {
+        return {columnId: sortCol.sortCol.id, sortAsc: sortCol.sortAsc};
+      });
+      // The primary sort column is passed to the callback
+      callback(this, 'onSort', [evt, sortCols[0].sortCol, args]);
     }
   };
 
@@ -1430,6 +2016,12 @@ this.HGrid = (function($) {
   // TODO: untested
   HGrid.prototype.downloadItem = function(item) {
     var url;
+    if (item && item.kind === ALIAS) { // Download the target
+      item = this.resolveAlias(item);
+      if (!item) {
+        return this;
+      }
+    }
     if (typeof this.options.downloadUrl === 'function') {
       url = this.options.downloadUrl(item);
     } else {
@@ -1506,12 +2098,22 @@ this.HGrid = (function($) {
   };
 
   HGrid.prototype.canUpload = function(item) {
-    return Boolean(item && this.options.canUpload(item));
+    return Boolean(item && kindOf(item).uploads && this.options.canUpload(item));
+  };
+
+  /**
+   * Get the kind of an item, as registered with `HGrid.registerKind`.
+   * @method  getKind
+   * @param {Object} item An item or its id
+   * @return {Object} The kind, e.g. `{name: 'folder', container: true, ...}`
+   */
+  HGrid.prototype.getKind = function(item) {
+    return KINDS[toNode(this, item).kind];
   };
 
   HGrid.prototype.denyUpload = function(targetItem) {
     // Need to throw an error to prevent dropzone's sequence of callbacks from firing
-    this.options.uploadDenied.call(this, targetItem);
+    callback(this, 'uploadDenied', [targetItem]);
     throw new HGrid.Error('Upload permission denied.');
   };
 
@@ -1539,24 +2141,24 @@ this.HGrid = (function($) {
       this.validateTarget(this.currentTarget);
       // update the dropzone options, eg. dropzone.options.url
       this.setUploadTarget(this.currentTarget);
-      this.options.onDrop.call(this, evt, this.currentTarget);
+      callback(this, 'onDrop', [evt, this.currentTarget]);
     },
     dragleave: function(evt) {
       this.removeHighlight();
       var item = this.getItemFromEvent(evt);
-      this.options.onDragleave.call(this, evt, item);
+      callback(this, 'onDragleave', [evt, item]);
     },
     // Set the current upload target upon dragging a file onto the grid
     dragenter: function(evt) {
       var item = this.getItemFromEvent(evt);
       if (item) {
-        if (item.kind === FOLDER) {
+        if (kindOf(item).container) {
           this.currentTarget = item;
         } else {
           this.currentTarget = this.getByID(item.parentID);
         }
       }
-      this.options.onDragenter.call(this, evt, item);
+      callback(this, 'onDragenter', [evt, item]);
     },
     dragover: function(evt) {
       var currentTarget = this.currentTarget;
@@ -1566,7 +2168,7 @@ this.HGrid = (function($) {
           this.addHighlight(currentTarget);
         }
       }
-      this.options.onDragover.call(this, evt, item);
+      callback(this, 'onDragover', [evt, item]);
     },
     dragend: function(evt) {
       this.removeHighlight();
@@ -1580,19 +2182,21 @@ this.HGrid = (function($) {
       var addedItem;
       if (this.canUpload(currentTarget)){
         // Add a new row
-        addedItem = this.addItem({
-          name: file.name,
-          kind: HGrid.ITEM,
-          parentID: currentTarget.id
-        });
+        var fields = this.options.fields;
+        var placeholder = {parentID: currentTarget.id};
+        placeholder[fields.name] = file.name;
+        placeholder[fields.kind] = fields.item;
+        addedItem = this.addItem(placeholder);
         var rowElem = this.getRowElement(addedItem.id),
           $rowElem = $(rowElem);
+        // Keep the row when the folder is reconciled with server data
+        addedItem._node._uploading = true;
         // Save the item data and HTML element on the file object
         file.gridItem = addedItem;
         file.gridElement = rowElem;
         $rowElem.addClass('hg-upload-started');
       }
-      this.options.uploadAdded.call(this, file, file.gridItem, currentTarget);
+      callback(this, 'uploadAdded', [file, file.gridItem, currentTarget]);
       return addedItem;
     },
     thumbnail: noop,
@@ -1603,30 +2207,33 @@ this.HGrid = (function($) {
       // Remove the added row
       var item = $.extend({}, file.gridItem);
       this.removeItem(file.gridItem.id);
-      return this.options.uploadError.call(this, file, message, item, this.currentTarget);
+      return callback(this, 'uploadError', [file, message, item, this.currentTarget]);
     },
     processing: function(file) {
       $(file.gridElement).addClass('hg-upload-processing');
       this.currentTarget._processing = true;
       this.updateItem(this.currentTarget);
-      this.options.uploadProcessing.call(this, file, file.gridItem, this.currentTarget);
+      callback(this, 'uploadProcessing', [file, file.gridItem, this.currentTarget]);
       return this;
     },
     uploadprogress: function(file, progress, bytesSent) {
-      return this.options.uploadProgress.call(this, file, progress, bytesSent, file.gridItem);
+      return callback(this, 'uploadProgress', [file, progress, bytesSent, file.gridItem]);
     },
     success: function(file, data) {
       $(file.gridElement).addClass('hg-upload-success');
-      return this.options.uploadSuccess.call(this, file, file.gridItem, data);
+      return callback(this, 'uploadSuccess', [file, file.gridItem, data]);
     },
     complete: function(file) {
       $(file.gridElement).removeClass('hg-upload-processing');
+      if (file.gridItem) {
+        file.gridItem._node._uploading = false;
+      }
       this.currentTarget._processing = false;
       this.updateItem(this.currentTarget);
-      return this.options.uploadComplete.call(this, file, file.gridItem);
+      return callback(this, 'uploadComplete', [file, file.gridItem]);
     },
     sending: function(file, xhr, formData) {
-      return this.options.uploadSending(file, file.gridItem, xhr, formData);
+      return callback(this, 'uploadSending', [file, file.gridItem, xhr, formData]);
     }
 
   };
@@ -1640,19 +2247,35 @@ this.HGrid = (function($) {
     var self = this,
       callbackName, fn;
     // Wire up all the slickgrid events
+    // Listeners subscribed with `grid.on('slick:onClick')` are called after the
+    // grid's handler
     for (callbackName in self.slickEvents) {
-      fn = self.slickEvents[callbackName].bind(self); // make `this` object the grid
+      fn = relay(self, self.slickEvents[callbackName], 'slick:' + callbackName);
       self.grid[callbackName].subscribe(fn);
     }
 
     if (this.options.uploads) {
-      // Wire up all the dropzone events
+      // Wire up all the dropzone events, e.g. `grid.on('dropzone:addedfile')`
       for (callbackName in self.dropzoneEvents) {
-        fn = self.dropzoneEvents[callbackName].bind(self);
+        fn = relay(self, self.dropzoneEvents[callbackName], 'dropzone:' + callbackName);
         self.dropzone.on(callbackName, fn);
       }
     }
 
+    // Keep aliases in sync with their targets, before node event callbacks
+    indexAliases(self, self.tree, true);
+    self.tree.on('nodeAdded', function(event) {
+      indexAliases(self, event.node, true);
+      refreshAliases(self, event.node, true);
+    });
+    self.tree.on('nodeRemoved', function() {
+      // The removed node's descendants are already detached from it
+      pruneAliases(self);
+    });
+    self.tree.on('nodeChanged', function(event) {
+      refreshAliases(self, event.node, false);
+    });
+
     // Attach extra listeners from options.listeners
     var userCallback = function(evt) {
       var row = self.getItemFromEvent(evt);
@@ -1667,9 +2290,37 @@ this.HGrid = (function($) {
     }
     this.attachActionListeners();
 
+    // Surface the tree's node events, e.g. nodeAdded calls options.onNodeAdded
+    NODE_EVENTS.forEach(function(type) {
+      var callbackName = 'on' + type.charAt(0).toUpperCase() + type.slice(1);
+      self.tree.on(type, function(event) {
+        var node = event.node;
+        event.item = self.tree.nodeIndex[node.id] === node && !node.isRoot() ? node.getItem() : null;
+        callback(self, callbackName, [event]);
+      });
+    });
+
+    // Ctrl+Z undoes, Ctrl+Y and Ctrl+Shift+Z redo. Editors handle their own keys.
+    self.element.on('keydown', function(evt) {
+      if (!(evt.ctrlKey || evt.metaKey) || $(evt.target).is(':input, [contenteditable]')) {
+        return;
+      }
+      var key = String.fromCharCode(evt.which).toLowerCase();
+      if (key === 'z' && !evt.shiftKey) {
+        self.undo();
+      } else if (key === 'y' || key === 'z') {
+        self.redo();
+      } else {
+        return;
+      }
+      evt.preventDefault();
+    });
+
     if (self.searchInput) {
       self.searchInput.keyup(function (e) {
         self._searchText = this.value;
+        // Search results may be hidden nodes
+        showAllRows(self, Boolean(self._searchText));
         self.getDataView().refresh();
         self.grid.invalidate();
         self.grid.render();
@@ -1832,18 +2483,34 @@ this.HGrid = (function($) {
    * Return the data as an array.
    *
    * @method  getData
-   * @return {Array} Array of data items in the DataView.
+   * @return {Array} The items of all nodes, in display order, including those
+   *                 hidden in collapsed folders. See `getVisibleData`.
    */
   HGrid.prototype.getData = function() {
+    return rowsOf(this.tree, false, true);
+  };
+
+  /**
+   * Return the items that have rows: those in the DataView, which are the
+   * items of nodes that are not hidden (or all items, while searching).
+   * @method  getVisibleData
+   * @return {Array}
+   */
+  HGrid.prototype.getVisibleData = function() {
     return this.getDataView().getItems();
   };
 
   /**
-   * Get a datum by it's ID.
+   * Get a datum by it's ID. Items of hidden nodes, which are not in the
+   * DataView, are found too.
    */
   HGrid.prototype.getByID = function(id) {
-    var dataView = this.getDataView();
-    return dataView.getItemById(id);
+    var item = this.getDataView().getItemById(id);
+    if (item === undefined) {
+      var node = this.tree.getNodeByID(id);
+      item = node ? node.getItem() : undefined;
+    }
+    return item;
   };
 
   /**
@@ -1872,9 +2539,9 @@ this.HGrid = (function($) {
     return Boolean(this.options.fetchUrl);  // Assume lazy loading is enabled if fetchUrl is defined
   };
 
-  var LOADING_UNFINISHED = HGrid.LOADING_UNFINISHED = 'lu';
-  var LOADING_STARTED = HGrid.LOADING_STARTED = 'ls';
-  var LOADING_FINISHED = HGrid.LOADING_FINISHED = 'lf';
+  HGrid.LOADING_UNFINISHED = LOADING_UNFINISHED;
+  HGrid.LOADING_STARTED = LOADING_STARTED;
+  HGrid.LOADING_FINISHED = LOADING_FINISHED;
 
 
   HGrid.prototype.setLoadingStatus = function(item, status) {
@@ -1887,24 +2554,205 @@ this.HGrid = (function($) {
     var self = this;
     var url = self.options.fetchUrl(item);
     if (url !== null) {
-      self.options.fetchStart.call(self, item);
+      var loaded = $.Deferred();
+      // Pending until the folder's contents are loaded. See loadFolder.
+      item._node._loadPromise = loaded.promise();
+      callback(self, 'fetchStart', [item]);
       self.setLoadingStatus(item, LOADING_STARTED);
+      var fail = function(error) {
+        self.setLoadingStatus(item, LOADING_UNFINISHED);
+        callback(self, 'fetchError', [error, item]);
+        loaded.reject(error);
+      };
       return self.getFromServer(url, function(newData, error) {
         if (!error) {
-          self.addData(newData, item.id);
+          try {
+            self.reconcileFolder(item, newData);
+          } catch (err) {  // E.g. invalid data. The folder can be fetched again.
+            fail(err);
+            return;
+          }
           self.setLoadingStatus(item, LOADING_FINISHED);
+          touchFolder(self, item._node);
           self.refreshExpandState();
-          self.options.fetchSuccess.call(self, newData, item);
+          callback(self, 'fetchSuccess', [newData, item]);
+          loaded.resolve(item);
+          self.evictFolders();
         } else {
-          self.setLoadingStatus(item, LOADING_UNFINISHED);
-          self.options.fetchError.call(self, error, item);
-          throw new HGrid.Error('Could not fetch data from url: "' + url + '". Error: ' + error);
+          fail(error);
         }
       });
     }
     return false;
   };
 
+  /**
+   * Load a folder's contents, without expanding it. Only sends a request if
+   * the grid is lazy and the contents have not been loaded (or are not
+   * already being loaded).
+   * @method  loadFolder
+   * @param {Object} folder A folder item or id.
+   * @return {Promise} A jQuery promise that is resolved with the folder item
+   *                   once its contents are loaded, or rejected with the
+   *                   error if they could not be fetched or added.
+   */
+  HGrid.prototype.loadFolder = function(folder) {
+    var item = typeof folder === 'object' ? folder : this.getByID(folder);
+    var node = item._node;
+    if (this.isLazy() && node._load_status === LOADING_STARTED && node._loadPromise) {
+      return node._loadPromise;
+    }
+    if (this.isLazy() && node._load_status !== LOADING_FINISHED && this._lazyLoad(item)) {
+      return node._loadPromise;
+    }
+    return $.Deferred().resolve(item).promise();
+  };
+
+  /**
+   * Mark a loaded folder as the most recently used one, so that it is the
+   * last to be unloaded by `evictFolders`.
+   * @private
+   */
+  function touchFolder(grid, node) {
+    if (!grid.options.lazyCache || node._load_status !== LOADING_FINISHED) {
+      return;
+    }
+    var folders = grid._cachedFolders;
+    for (var i = 0; i < folders.length; i++) {
+      if (folders[i].node === node) {
+        folders.splice(i, 1);
+        break;
+      }
+    }
+    folders.push({node: node, usedAt: new Date().getTime()});
+  }
+
+  /**
+   * Whether a folder is still in the grid, with its contents loaded.
+   * @private
+   */
+  function isCached(grid, node) {
+    return grid.tree.getNodeByID(node.id) === node && node._load_status === LOADING_FINISHED;
+  }
+
+  /**
+   * The ids of the items that the undo and redo history refers to.
+   * @private
+   */
+  function historyIDs(grid) {
+    var ids = {};
+    var visit = function(operation) {
+      if (operation.type === 'batch') {
+        operation.operations.forEach(visit);
+        return;
+      }
+      ids[operation.id] = true;
+      if (operation.parentID != null) {
+        ids[operation.parentID] = true;
+      }
+      if (operation.type === 'move') {
+        ids[operation.from] = ids[operation.to] = true;
+      }
+    };
+    grid._undoStack.forEach(visit);
+    grid._redoStack.forEach(visit);
+    return ids;
+  }
+
+  /**
+   * Count the nodes that unloading a folder would remove, or return -1 if its
+   * contents must be kept: something in them is being uploaded or loaded, is
+   * the target of an alias elsewhere, or is referred to by the undo history.
+   * @private
+   * @param {Object} inHistory Ids from `historyIDs`.
+   */
+  function evictableSize(grid, node, inHistory) {
+    var size = 0;
+    var busy = false;
+    var isOutside = function(alias) {
+      return !node.isAncestorOf(alias);
+    };
+    node.dfTraverse(function(next) {
+      if (next !== node && (next._uploading || next._load_status === LOADING_STARTED ||
+          inHistory.hasOwnProperty(next.id) ||
+          (grid._aliases[next.id] || []).some(isOutside))) {
+        busy = true;
+        return false;
+      }
+      size++;
+    });
+    return busy || node._load_status === LOADING_STARTED ? -1 : size - 1;
+  }
+
+  /**
+   * Unload a folder's contents without removing them: no removal events are
+   * emitted, and the folder keeps its aggregates (see `HGrid.Tree#unload`).
+   * @private
+   */
+  function unloadFolder(grid, node) {
+    for (var i = 0, child; child = node.children[i]; i++) {
+      indexAliases(grid, child, false);
+    }
+    node.unload();
+    grid.updateItem(node.getItem()); // Redraw the expander
+  }
+
+  /**
+   * Unload the contents of collapsed, lazy-loaded folders according to
+   * `options.lazyCache`: folders that were not used (loaded, expanded, or
+   * collapsed) for `maxAge` ms, and, while the grid has more than `maxNodes`
+   * nodes, the least recently used folders. Unloaded folders are reset with
+   * `resetLoadedState`, so their contents are fetched again when they are
+   * next expanded. Unloading is not removal: no `nodeRemoved` events are
+   * emitted and folders keep their aggregates. Folders whose contents are
+   * being uploaded to or loaded, hold targets of aliases elsewhere, or are
+   * referred to by the undo history are kept. Called after a folder is
+   * collapsed or loaded; call it on a timer to also unload folders while the
+   * grid is idle.
+   * @method  evictFolders
+   * @return {Array} The items of the unloaded folders.
+   */
+  HGrid.prototype.evictFolders = function() {
+    var self = this;
+    var cache = self.options.lazyCache;
+    var evicted = [];
+    if (!cache || !self.isLazy()) {
+      return evicted;
+    }
+    var now = new Date().getTime();
+    var count = cache.maxNodes != null ? Object.keys(self.tree.nodeIndex).length - 1 : 0;
+    var inHistory = historyIDs(self);
+    var kept = [];
+    self.batchUpdate(function() {
+      for (var i = 0, entry; entry = self._cachedFolders[i]; i++) {
+        var node = entry.node;
+        if (!isCached(self, node)) {  // Removed, or unloaded with an ancestor
+          continue;
+        }
+        var expired = cache.maxAge != null && now - entry.usedAt >= cache.maxAge;
+        var over = cache.maxNodes != null && count > cache.maxNodes;
+        var size = (expired || over) && (node._collapsed || node._hidden) ?
+          evictableSize(self, node, inHistory) : -1;
+        if (size === -1) {
+          kept.push(entry);
+          continue;
+        }
+        var item = self.getByID(node.id);
+        self.resetLoadedState(item);
+        unloadFolder(self, node);
+        count -= size;
+        evicted.push(item);
+      }
+    });
+    self._cachedFolders = kept.filter(function(entry) {
+      return isCached(self, entry.node);
+    });
+    for (var i = 0, item; item = evicted[i]; i++) {
+      callback(self, 'folderEvicted', [item]);
+    }
+    return evicted;
+  };
+
   /**
    * Expand an item. Updates the dataview.
    * @method  expandItem
@@ -1915,16 +2763,14 @@ this.HGrid = (function($) {
     item = typeof item === 'object' ? item : self.getByID(item);
     var node = self.getNodeByID(item.id);
     item._node.expand();
-    var dataview = self.getDataView();
-    var hints = self.getRefreshHints(item).expand;
-    dataview.setRefreshHints(hints);
-    self.getDataView().updateItem(item.id, item);
+    self.updateItem(item);
+    touchFolder(self, node);
     if (self.isLazy() &&
-        (node._load_status !== LOADING_FINISHED ||
-        node._load_status !== LOADING_STARTED)) {
+        node._load_status !== LOADING_FINISHED &&
+        node._load_status !== LOADING_STARTED) {
       this._lazyLoad(item);
     }
-    self.options.onExpand.call(self, evt, item);
+    callback(self, 'onExpand', [evt, item]);
     return self;
   };
 
@@ -1936,20 +2782,51 @@ this.HGrid = (function($) {
   HGrid.prototype.collapseItem = function(item, evt) {
     item = typeof item === 'object' ? item : this.getByID(item);
     item._node.collapse();
-    var dataview = this.getDataView();
-    var hints = this.getRefreshHints(item).collapse;
-    dataview.setRefreshHints(hints);
-    dataview.updateItem(item.id, item);
-    this.options.onCollapse.call(this, evt, item);
+    this.updateItem(item);
+    touchFolder(this, item._node);
+    this.evictFolders();
+    callback(this, 'onCollapse', [evt, item]);
     return this;
   };
 
+  /**
+   * Notify the grid that an item object was modified. Any changed fields are
+   * also saved to the item's node, so that they survive sorting and
+   * re-rendering.
+   * @method  updateItem
+   * @param  {Object} item
+   */
   HGrid.prototype.updateItem = function(item) {
+    if (item._node) {
+      var changes = withoutViewFields(dataChanges(item._node, item));
+      recordPatch(this, item._node, changes);
+      setNodeData(item._node, changes);
+      return putItem(item._node, item);
+    }
     return this.getDataView().updateItem(item.id, item);
   };
 
+  /**
+   * Update an item's fields. The changes are applied to both the item's node
+   * and the item in the DataView.
+   * @method  patchItem
+   * @param  {Object} id The item or its id.
+   * @param  {Object} changes The fields to update, e.g. `{name: 'renamed.txt'}`.
+   * @return {Object} The updated item.
+   */
+  HGrid.prototype.patchItem = function(id, changes) {
+    id = typeof id === 'object' ? id.id : id;
+    var node = this.getNodeByID(id);
+    if (!node || node.isRoot()) {
+      throw new HGrid.Error('Cannot patch item "' + id + '". Item does not exist.');
+    }
+    recordPatch(this, node, dataChanges(node, changes));
+    patchNode(node, changes);
+    return this.getByID(id);
+  };
+
   HGrid.prototype.isCollapsed = function(item) {
-    return Boolean(item._collapsed);
+    return item._node ? item._node.isCollapsed() : Boolean(item._collapsed);
   };
 
   HGrid.prototype.canToggle = function(elem) {
@@ -1966,47 +2843,81 @@ this.HGrid = (function($) {
    * @return {Object} The added item.
    */
   HGrid.prototype.addItem = function(item) {
+    if (this.options.strict) {
+      validateItems(this, [item]);
+    }
+    var newItem = this.getByID(addNode(this, item).id);
+    callback(this, 'onItemAdded', [newItem]);
+    return newItem;
+  };
+
+  /**
+   * Create a node for an item, add it to its parent, and record the
+   * addition for undo.
+   * @private
+   * @return {HGrid.Tree|HGrid.Leaf} The new node.
+   */
+  function addNode(grid, item) {
+    var fields = grid.options.fields;
     var node, parentNode;
-    // Create a new node for the item
-    if (item.kind === HGrid.FOLDER) {
-      node = new HGrid.Tree(item);
+    if (item.parentID == null) {
+      parentNode = grid.tree;
     } else {
-      node = new HGrid.Leaf(item);
+      parentNode = grid.getNodeByID(item.parentID);
     }
-    if (item.parentID == null) {
-      parentNode = this.tree;
+    // Create a new node for the item
+    if (KINDS[dataKind(item, fields, ITEM)].container) {
+      node = new HGrid.Tree(item, fields);
     } else {
-      parentNode = this.getNodeByID(item.parentID);
+      node = new HGrid.Leaf(item, fields);
     }
     parentNode.add(node, true);
-    var newItem = this.getByID(node.id);
-    this.options.onItemAdded.call(this, newItem);
-    return newItem;
-  };
+    grid.recordOperation({
+      type: 'add',
+      id: node.id,
+      parentID: parentNode.id,
+      index: parentNode.children.indexOf(node),
+      item: $.extend({}, node.data),
+      _node: node
+    });
+    return node;
+  }
 
   /**
    * Add multiple items.
    *
-   * Only one refresh is made to the grid after adding all the items.
+   * The items' rows are inserted into the DataView all at once, and only one
+   * refresh is made to the grid after adding all the items. `onItemAdded`
+   * is called for each item after that. With the `strict` option, all of the
+   * items are checked before any is added.
    * @param {Array} items Array of items with "name", "kind", and "parentID".
    */
-  // FIXME: This method is slow, because the DataView's idx:id map needs to be updated
-  // on every insert
   HGrid.prototype.addItems = function(items) {
     var self = this;
-    this.batchUpdate(function() {
-      for (var i = 0, len = items.length; i < len; i++) {
-        var item = items[i];
-        self.addItem(item);
-      }
+    var nodes = [];
+    if (self.options.strict) {
+      validateItems(self, items);
+    }
+    self.batchUpdate(function() {
+      deferInserts(self.tree, function() {
+        for (var i = 0, len = items.length; i < len; i++) {
+          nodes.push(addNode(self, items[i]));
+        }
+      });
     });
+    for (var i = 0, node; node = nodes[i]; i++) {
+      callback(self, 'onItemAdded', [self.getByID(node.id)]);
+    }
     return this;
   };
 
   HGrid.prototype.batchUpdate = function(func) {
     this.getDataView().beginUpdate();
-    func.call(this);
-    this.getDataView().endUpdate();
+    try {
+      func.call(this);
+    } finally {
+      this.getDataView().endUpdate();
+    }
   };
 
 
@@ -2034,9 +2945,322 @@ this.HGrid = (function($) {
    * @return {Object}    The removed item
    */
   HGrid.prototype.removeItem = function(id) {
+    var node = this.getNodeByID(id);
+    if (node && !node.isRoot()) {
+      var parent = this.getNodeByID(node.parentID);
+      var operation = {
+        type: 'remove',
+        id: node.id,
+        parentID: parent.id,
+        index: parent.children.indexOf(node),
+        item: $.extend({}, node.data),
+        _node: node
+      };
+      // Remember the subtree's structure, since removing a tree empties it
+      operation._structure = saveStructure(node);
+      this.recordOperation(operation);
+    }
     return this.tree.remove(id);
   };
 
+  /**
+   * Move an item, along with its contents, to another folder. The item keeps
+   * its id and expand state.
+   * @method  moveItem
+   * @param  {Object} id The item to move or its id.
+   * @param  {Object} targetFolderId ID of the folder to move to. If null, the
+   *                                 item is moved to the root.
+   * @param {Number} [index] Position in the target folder. Defaults to the end.
+   * @return {Object} The moved item.
+   */
+  HGrid.prototype.moveItem = function(id, targetFolderId, index) {
+    id = typeof id === 'object' ? id.id : id;
+    var node = this.getNodeByID(id);
+    var target = this.getNodeByID(targetFolderId);
+    if (!node || !target) {
+      throw new HGrid.Error('Cannot move item "' + id + '" to folder "' + targetFolderId + '".');
+    }
+    var oldParent = this.getNodeByID(node.parentID);
+    var fromIndex = oldParent.children.indexOf(node);
+    moveInGrid(this, node, target, index);
+    this.recordOperation({
+      type: 'move',
+      id: node.id,
+      from: oldParent.id,
+      fromIndex: fromIndex,
+      to: target.id,
+      toIndex: target.children.indexOf(node)
+    });
+    var movedItem = this.getByID(node.id);
+    callback(this, 'onItemMoved', [movedItem, this.getByID(oldParent.id),
+                                   this.getByID(target.id)]);
+    return movedItem;
+  };
+
+  /**
+   * Move a node within the grid and redraw its old and new parents.
+   * @private
+   */
+  function moveInGrid(grid, node, target, index) {
+    var oldParentID = node.parentID;
+    grid.batchUpdate(function() {
+      node.moveTo(target, index);
+    });
+    var oldParent = grid.getByID(oldParentID);
+    var newParent = grid.getByID(target.id);
+    // Parents may need to redraw their expander
+    if (oldParent) {
+      grid.updateItem(oldParent);
+    }
+    if (newParent) {
+      grid.updateItem(newParent);
+    }
+  }
+
+  ///////////////
+  // Undo/redo //
+  ///////////////
+
+  /**
+   * Record an operation in the undo history. Clears the redo history.
+   * Operations are not recorded while undoing or redoing.
+   * @method  recordOperation
+   * @param {Object} operation See `options.onUndo`.
+   */
+  HGrid.prototype.recordOperation = function(operation) {
+    if (this._replaying || !this.options.undoLimit) {
+      return this;
+    }
+    if (this._transaction) {
+      this._transaction.push(operation);
+      return this;
+    }
+    this._undoStack.push(operation);
+    if (this._undoStack.length > this.options.undoLimit) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    return this;
+  };
+
+  /**
+   * Execute a function, recording the operations it performs as a single
+   * "batch" operation, which is undone and redone in one step.
+   * @method  transaction
+   * @param {Function} func Called with the grid as `this`.
+   */
+  HGrid.prototype.transaction = function(func) {
+    if (this._transaction) { // Nested transactions are merged into the outer one
+      func.call(this);
+      return this;
+    }
+    var operations = this._transaction = [];
+    try {
+      func.call(this);
+    } finally {
+      this._transaction = null;
+    }
+    if (operations.length === 1) {
+      this.recordOperation(operations[0]);
+    } else if (operations.length) {
+      this.recordOperation({type: 'batch', operations: operations});
+    }
+    return this;
+  };
+
+  /**
+   * @method  canUndo
+   * @return {Boolean} Whether there is an operation to undo.
+   */
+  HGrid.prototype.canUndo = function() {
+    return this._undoStack.length > 0;
+  };
+
+  /**
+   * @method  canRedo
+   * @return {Boolean} Whether there is an operation to redo.
+   */
+  HGrid.prototype.canRedo = function() {
+    return this._redoStack.length > 0;
+  };
+
+  /**
+   * Forget all undoable and redoable operations.
+   * @method  clearHistory
+   */
+  HGrid.prototype.clearHistory = function() {
+    this._undoStack = [];
+    this._redoStack = [];
+    return this;
+  };
+
+  /**
+   * Undo the last operation and call `options.onUndo`. Bound to Ctrl+Z.
+   * If the operation can no longer be undone (e.g. its item was removed),
+   * the history is cleared and an HGrid.Error is thrown.
+   * @method  undo
+   * @return {Object} The undone operation, or null if there is nothing to undo.
+   */
+  HGrid.prototype.undo = function() {
+    var operation = this._undoStack.pop();
+    if (!operation) {
+      return null;
+    }
+    replay(this, operation, true);
+    this._redoStack.push(operation);
+    callback(this, 'onUndo', [operation]);
+    return operation;
+  };
+
+  /**
+   * Redo the last undone operation and call `options.onRedo`. Bound to Ctrl+Y
+   * and Ctrl+Shift+Z.
+   * @method  redo
+   * @return {Object} The redone operation, or null if there is nothing to redo.
+   */
+  HGrid.prototype.redo = function() {
+    var operation = this._redoStack.pop();
+    if (!operation) {
+      return null;
+    }
+    replay(this, operation, false);
+    this._undoStack.push(operation);
+    callback(this, 'onRedo', [operation]);
+    return operation;
+  };
+
+  /**
+   * Record the previous values of an edit to a node's data. Underscore-prefixed
+   * fields are internal state and are not recorded.
+   * @private
+   */
+  function recordPatch(grid, node, changes) {
+    var recorded = {}, previous = {}, hasChanges = false;
+    for (var key in changes) {
+      if (changes.hasOwnProperty(key) && key.charAt(0) !== '_') {
+        recorded[key] = changes[key];
+        previous[key] = node.data[key];
+        hasChanges = true;
+      }
+    }
+    if (hasChanges) {
+      grid.recordOperation({type: 'patch', id: node.id, changes: recorded, previous: previous});
+    }
+  }
+
+  /**
+   * The fields of `changes` other than view state, i.e. those whose names do
+   * not start with `_` (e.g. `_processing`). Null if there are none.
+   * @private
+   */
+  function withoutViewFields(changes) {
+    var fields = null;
+    for (var key in changes) {
+      if (changes.hasOwnProperty(key) && key.charAt(0) !== '_') {
+        fields = fields || {};
+        fields[key] = changes[key];
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Save the children of each node in a subtree.
+   * @private
+   */
+  function saveStructure(node) {
+    var structure = [];
+    eachNode(node, function(each) {
+      structure.push({node: each, children: each.children.slice()});
+    });
+    return structure;
+  }
+
+  /**
+   * Reverse (if `undo` is true) or reapply an operation.
+   * @private
+   */
+  function replay(grid, operation, undo) {
+    grid._replaying = true;
+    try {
+      grid.batchUpdate(function() {
+        applyOperation(grid, operation, undo);
+      });
+    } catch (err) {
+      grid.clearHistory();
+      throw err;
+    } finally {
+      grid._replaying = false;
+    }
+  }
+
+  function applyOperation(grid, operation, undo) {
+    var node = grid.getNodeByID(operation.id);
+    var type = operation.type;
+    if (type === 'batch') {
+      var operations = operation.operations.slice();
+      if (undo) {
+        operations.reverse();
+      }
+      for (var i = 0, each; each = operations[i]; i++) {
+        applyOperation(grid, each, undo);
+      }
+    } else if (type === 'add' && undo || type === 'remove' && !undo) {
+      if (!node) {
+        throw new HGrid.Error('Cannot remove item "' + operation.id + '". Item does not exist.');
+      }
+      operation._structure = saveStructure(node);
+      grid.tree.remove(node.id);
+      updateParentItem(grid, operation.parentID);
+    } else if (type === 'add' || type === 'remove') {
+      var parent = grid.getNodeByID(operation.parentID);
+      if (node || !parent) {
+        throw new HGrid.Error('Cannot restore item "' + operation.id + '".');
+      }
+      operation._structure.forEach(function(saved) {
+        saved.node.children = saved.children.slice();
+      });
+      parent.add(operation._node, true, Math.min(operation.index, parent.children.length));
+      updateParentItem(grid, operation.parentID);
+    } else if (type === 'move') {
+      var target = grid.getNodeByID(undo ? operation.from : operation.to);
+      if (!node || !target) {
+        throw new HGrid.Error('Cannot move item "' + operation.id + '".');
+      }
+      moveInGrid(grid, node, target, undo ? operation.fromIndex : operation.toIndex);
+    } else if (type === 'patch') {
+      if (!node) {
+        throw new HGrid.Error('Cannot patch item "' + operation.id + '". Item does not exist.');
+      }
+      restoreFields(node, undo ? operation.previous : operation.changes);
+    }
+  }
+
+  // Like patchNode, but fields whose value is undefined are deleted
+  function restoreFields(node, values) {
+    patchNode(node, values);
+    var item = node._item;
+    for (var key in values) {
+      if (values.hasOwnProperty(key) && values[key] === undefined) {
+        delete node.data[key];
+        if (item) {
+          delete item[key];
+        }
+      }
+    }
+    if (item) {
+      putItem(node, item);
+    }
+  }
+
+  // Redraw a folder item, e.g. after its contents change
+  function updateParentItem(grid, parentID) {
+    var parent = grid.getByID(parentID);
+    if (parent) {
+      grid.updateItem(parent);
+    }
+  }
+
   /**
    * Return a HGrid.Tree or HGrid.Leaf node given an id.
    * @param {Number} id
@@ -2046,10 +3270,131 @@ this.HGrid = (function($) {
     if (id === HGrid.ROOT_ID || id == null) {
       return this.tree;
     }
-    var item = this.getByID(id);
-    return item._node;
+    return this.tree.getNodeByID(id);
+  };
+
+  /**
+   * Resolve an item or id to its node. Defaults to the root node.
+   * @private
+   */
+  function toNode(grid, item) {
+    var id = item != null && typeof item === 'object' ? item.id : item;
+    var node = grid.getNodeByID(id);
+    if (!node) {
+      throw new HGrid.Error('Item "' + id + '" does not exist.');
+    }
+    return node;
+  }
+
+  function toItems(nodes) {
+    return nodes.map(function(node) {
+      return node.getItem();
+    });
+  }
+
+  /**
+   * Performs depth-first traversal of a folder's items, in display order,
+   * executing a function once per item. Return `false` from `fun` to stop the
+   * traversal.
+   * @method  dfTraverse
+   * @param {Function} fun Function that receives an item.
+   * @param {Object} [folder] Folder item or id to start from. Defaults to the
+   *                          whole grid.
+   */
+  HGrid.prototype.dfTraverse = function(fun, folder) {
+    var self = this;
+    toNode(this, folder).dfTraverse(function(node) {
+      if (!node.isRoot()) {
+        return fun.call(self, node.getItem());
+      }
+    });
+    return this;
   };
 
+  /**
+   * @method  find
+   * @param {Function} predicate Function that receives an item.
+   * @param {Object} [folder] Folder item or id to search in. Defaults to the
+   *                          whole grid.
+   * @return {Object} The first matching item, in display order, or null.
+   */
+  HGrid.prototype.find = function(predicate, folder) {
+    var self = this;
+    var node = toNode(this, folder).find(function(node) {
+      return predicate.call(self, node.getItem());
+    });
+    return node ? node.getItem() : null;
+  };
+
+  /**
+   * @method  filter
+   * @param {Function} predicate Function that receives an item.
+   * @param {Object} [folder] Folder item or id to search in. Defaults to the
+   *                          whole grid.
+   * @return {Array} The matching items, in display order.
+   */
+  HGrid.prototype.filter = function(predicate, folder) {
+    var self = this;
+    return toItems(toNode(this, folder).filter(function(node) {
+      return predicate.call(self, node.getItem());
+    }));
+  };
+
+  /**
+   * @method  getAncestors
+   * @param {Object} item An item or id.
+   * @return {Array} The item's ancestor folders, from its parent up.
+   */
+  HGrid.prototype.getAncestors = function(item) {
+    return toItems(toNode(this, item).ancestors());
+  };
+
+  /**
+   * @method  getDescendants
+   * @param {Object} item A folder item or id.
+   * @return {Array} All items contained in the folder, in display order.
+   */
+  HGrid.prototype.getDescendants = function(item) {
+    return toItems(toNode(this, item).descendants());
+  };
+
+  /**
+   * @method  getSiblings
+   * @param {Object} item An item or id.
+   * @return {Array} The other items in the item's folder.
+   */
+  HGrid.prototype.getSiblings = function(item) {
+    return toItems(toNode(this, item).siblings());
+  };
+
+  /**
+   * @method  getChildrenOf
+   * @param {Object} folder A folder item or id. Pass `HGrid.ROOT_ID` for the
+   *                        top-level items.
+   * @return {Array} The folder's direct children.
+   */
+  HGrid.prototype.getChildrenOf = function(folder) {
+    return toItems(toNode(this, folder).children);
+  };
+
+  /**
+   * Get an iterator over all items, in display order. The grid is also an
+   * ES2015 iterable.
+   * @method  iterator
+   */
+  HGrid.prototype.iterator = function() {
+    var nodes = this.tree.iterator();
+    return {
+      next: function() {
+        var next = nodes.next();
+        return next.done ? next : {done: false, value: next.value.getItem()};
+      }
+    };
+  };
+  if (typeof Symbol === 'function' && Symbol.iterator) {
+    HGrid.prototype[Symbol.iterator] = HGrid.prototype.iterator;
+  }
+
   /**
    * Toggle an item's collapsed/expanded state.
    * @method  toggleCollapse
@@ -2066,36 +3411,249 @@ this.HGrid = (function($) {
     return this;
   };
 
+  /**
+   * Convert input data to the nested form that `Tree.fromObject` accepts.
+   * `data` is either an array or an object with a `data` (or `paths`)
+   * property, and may be nested, a list of paths, or, with the `flat`
+   * option, a flat list of rows.
+   * Paths are relative to `node`.
+   * @private
+   */
+  function toTreeData(grid, data, node, replace) {
+    var fields = grid.options.fields;
+    var rows = Array.isArray(data) ? data : data.data;
+    var nested;
+    if (data.paths || isPathList(rows)) {
+      nested = nestPaths(data.paths || rows, {
+        separator: grid.options.pathSeparator,
+        base: node ? grid.getPath(node) : '',
+        fields: fields
+      });
+    } else if (grid.options.flat) {
+      nested = nestRows(rows, node ? node.id : null, fields);
+    } else {
+      nested = rows;
+    }
+    if (grid.options.strict) {
+      validateData(grid, nested, node, replace);
+    }
+    return nested;
+  }
+
   /**
    * Add more hierarchical data. The `data` param takes the same form as the
-   * input data.
+   * input data: either nested, a list of paths, or a flat list of rows with
+   * `parentID`s (with the `flat` option). Rows whose `parentID` is `parentID`
+   * are added directly to the parent node, and paths are relative to the
+   * parent node. Folders that are already in the parent node (by id) are
+   * merged into rather than added again, as are items.
    * @param  data    Hierarchical data to add
    * @param {Number} parentID ID of the parent node to add the data to
    */
   HGrid.prototype.addData = function(data, parentID) {
     var self = this;
-    var tree = this.getNodeByID(parentID);
-    var toAdd;
-    if (Array.isArray(data)) {
-      toAdd = data;
-    } else { // Data is an object with a `data` property
-      toAdd = data.data;
-    }
-    for (var i = 0, datum; datum = toAdd[i]; i++) {
-      var node;
-      if (datum.kind === HGrid.FOLDER) {
-        var collapse = self.isLazy();
-        var args = {collapse: collapse};
+    var tree = self.getNodeByID(parentID);
+    if (self.options.strict) {
+      validateParent(self, parentID, tree);
+    }
+    var nested = toTreeData(self, data, tree);
+    // Insert all of the new rows at once
+    self.batchUpdate(function() {
+      deferInserts(self.tree, function() {
+        mergeData(self, tree, nested);
+      });
+    });
+    // self.refreshExpandState();
+    return self;
+  };
+
+  function mergeData(grid, tree, data) {
+    var fields = grid.options.fields;
+    for (var i = 0, datum; datum = data[i]; i++) {
+      var id = datum[fields.id];
+      var node = id != null ? tree.getNodeByID(id) : null;
+      if (node && node.parentID === tree.id) {
+        if (node instanceof Tree && datum[fields.children]) {
+          mergeData(grid, node, datum[fields.children]);
+        }
+        continue;
+      }
+      if (KINDS[dataKind(datum, fields, ITEM)].container) {
+        var collapse = grid.isLazy();
+        var args = {collapse: collapse, fields: fields};
         node = Tree.fromObject(datum, tree, args);
       } else {
-        node = Leaf.fromObject(datum, tree);
+        node = Leaf.fromObject(datum, tree, {fields: fields});
       }
       tree.add(node, true); // ensure dataview is updated
     }
-    // self.refreshExpandState();
-    return this;
+  }
+
+  /**
+   * Get the grid's contents as plain data that can be passed to `JSON.stringify`
+   * and later restored with `importData`. Uses the grid's field mapping.
+   * @method  exportData
+   * @param {Object} [options] `viewState` and `loadStatus`. See
+   *                           `Tree.prototype.toJSON`.
+   * @return {Array} The nested data.
+   */
+  HGrid.prototype.exportData = function(options) {
+    return this.tree.toJSON($.extend({}, options, {fields: this.options.fields}));
+  };
+
+  /**
+   * Replace the grid's contents with data, e.g. from `exportData`. The data may
+   * be in any form the `data` option accepts. View state and load status in
+   * the data are restored. Undo history is cleared, since it refers to the
+   * replaced items.
+   * @method  importData
+   * @param  data
+   */
+  HGrid.prototype.importData = function(data) {
+    var self = this;
+    var fields = self.options.fields;
+    // Convert (and validate) before anything is removed
+    var nested = toTreeData(self, data, null, true);
+    self.batchUpdate(function() {
+      var tree = self.tree;
+      tree.empty();
+      for (var i = 0, datum; datum = nested[i]; i++) {
+        var node = KINDS[dataKind(datum, fields, ITEM)].container ?
+          Tree.fromObject(datum, tree, {fields: fields}) :
+          Leaf.fromObject(datum, tree, {fields: fields});
+        tree.add(node, true);
+      }
+    });
+    self.clearHistory();
+    return self;
   };
 
+  /**
+   * Check data that are about to be added to `node` (the root if null), and
+   * throw an HGrid.Error for the first problem found, with the path of the
+   * offending datum. Used when the `strict` option is set. Detects unknown
+   * kinds, ids that are already used, and ids that collide with generated ids.
+   * Ids of the node's children may be reused, since such data are merged or
+   * reconciled with the children. If `replace` is set, the data will replace
+   * the whole tree, so no existing ids are in use.
+   * @private
+   */
+  function validateData(grid, data, node, replace) {
+    var state = validationState(grid, replace);
+    var parentID = node ? node.id : ROOT_ID;
+    var path = node ? grid.getPath(node) : '';
+    validateChildren(state, data, parentID, path);
+    validateGeneratedIDs(state);
+  }
+
+  /**
+   * Check items that are about to be added with `addItem` or `addItems`, as
+   * `validateData` does. An item's parent may be an earlier item.
+   * @private
+   */
+  function validateItems(grid, items) {
+    var state = validationState(grid, false);
+    var fields = grid.options.fields;
+    var paths = {}; // Paths of earlier items that are folders, by id
+    for (var i = 0, item; item = items[i]; i++) {
+      var parentID = item.parentID;
+      var path;
+      if (parentID != null && paths.hasOwnProperty(parentID)) {
+        path = paths[parentID];
+      } else {
+        var parentNode = parentID == null ? grid.tree : grid.getNodeByID(parentID);
+        validateParent(grid, parentID, parentNode);
+        parentID = parentNode.id;
+        path = grid.getPath(parentNode);
+      }
+      validateChildren(state, [item], parentID, path);
+      var id = item[fields.id];
+      if (id != null && KINDS[dataKind(item, fields, ITEM)].container) {
+        var name = item[grid.options.pathField];
+        paths[id] = (path ? path + grid.options.pathSeparator : '') + name;
+      }
+    }
+    validateGeneratedIDs(state);
+  }
+
+  function validationState(grid, replace) {
+    return {
+      grid: grid,
+      tree: replace ? null : grid.tree,
+      fields: grid.options.fields,
+      seen: {},
+      numericIDs: {}, // Paths of data with numeric ids, by id
+      generated: 0 // Number of data that will be given generated ids
+    };
+  }
+
+  function validateGeneratedIDs(state) {
+    // Data without ids are given the next generated ids when they are added
+    var nextID = Tree._getCurrentID();
+    for (var id = nextID; id < nextID + state.generated; id++) {
+      if (state.numericIDs.hasOwnProperty(id)) {
+        throw new HGrid.Error('Id ' + id + ' at "' + state.numericIDs[id] +
+          '" collides with a generated id.');
+      }
+    }
+  }
+
+  function validateChildren(state, data, parentID, parentPath) {
+    var fields = state.fields;
+    var grid = state.grid;
+    var sep = grid.options.pathSeparator;
+    for (var i = 0, len = data.length; i < len; i++) {
+      var datum = data[i];
+      var name = datum[grid.options.pathField];
+      var path = (parentPath ? parentPath + sep : '') + (name != null ? name : '[' + i + ']');
+      var kind = dataKind(datum, fields, null);
+      if (kind === null) {
+        throw new HGrid.Error('Unknown kind "' + datum[fields.kind] + '" at "' + path + '".');
+      }
+      var container = KINDS[kind].container;
+      var id = datum[fields.id];
+      if (id == null) {
+        state.generated++;
+      } else {
+        var existing = state.tree ? state.tree.getNodeByID(id) : null;
+        if (state.seen.hasOwnProperty(id) || id === ROOT_ID) {
+          throw new HGrid.Error('Duplicate id "' + id + '" at "' + path + '".');
+        }
+        if (existing && (existing.parentID !== parentID ||
+            (existing instanceof Tree) !== container)) {
+          if (existing.data[fields.id] == null) {
+            throw new HGrid.Error('Id ' + id + ' at "' + path + '" collides with a generated id.');
+          }
+          throw new HGrid.Error('Duplicate id "' + id + '" at "' + path +
+            '", already used by "' + grid.getPath(existing) + '".');
+        }
+        state.seen[id] = true;
+        if (typeof id === 'number') {
+          state.numericIDs[id] = path;
+        }
+      }
+      var children = datum[fields.children];
+      if (container && Array.isArray(children)) {
+        // Data in a new folder cannot match existing nodes
+        validateChildren(state, children, id != null ? id : null, path);
+      }
+    }
+  }
+
+  /**
+   * Check that the node data are being added to is a folder. Used when the
+   * `strict` option is set.
+   * @private
+   */
+  function validateParent(grid, parentID, node) {
+    if (!node) {
+      throw new HGrid.Error('Parent "' + parentID + '" does not exist.');
+    }
+    if (!(node instanceof Tree)) {
+      throw new HGrid.Error('Parent "' + grid.getPath(node) + '" is not a folder.');
+    }
+  }
+
   /**
    * Reset a node's loaded state to false. When the node is expanded again and
    * lazy loading is enabled, a new xhr request will be sent.
@@ -2111,13 +3669,48 @@ this.HGrid = (function($) {
   };
 
   /**
-   * Reload a folder contents. Will send a request even if lazy loading is enabled
+   * Reconcile a folder's contents with fresh data. Only the differences are
+   * applied: rows for unchanged ids are kept, along with their expand state,
+   * and rows for in-progress uploads are never removed.
+   * See `HGrid.Tree#reconcile`.
+   * @method  reconcileFolder
+   * @param  {Object} folder The folder item or its id. If null, the root.
+   * @param  data Hierarchical data, of the same form as the input data.
+   * @return {Object} Object with arrays of the `added`, `removed`, and
+   *                  `changed` nodes.
+   */
+  HGrid.prototype.reconcileFolder = function(folder, data) {
+    var self = this;
+    var id = folder != null && typeof folder === 'object' ? folder.id : folder;
+    var tree = self.getNodeByID(id);
+    var nested = toTreeData(self, data, tree); // Validate before anything changes
+    var result;
+    self.batchUpdate(function() {
+      result = tree.reconcile(nested, {
+        collapse: self.isLazy(),
+        lazy: self.isLazy(),
+        fields: self.options.fields,
+        keep: function(node) {
+          return Boolean(node._uploading);
+        }
+      });
+    });
+    var folderItem = tree.isRoot() ? null : self.getByID(tree.id);
+    if (folderItem) {  // Redraw the expander
+      self.updateItem(folderItem);
+    }
+    return result;
+  };
+
+  /**
+   * Reload a folder's contents and expand it. Will send a request even if the
+   * folder was already loaded. The fresh data are reconciled with the
+   * folder's current contents (see `reconcileFolder`).
    * @method  reloadFolder
    */
   HGrid.prototype.reloadFolder = function(folder) {
+    folder = typeof folder === 'object' ? folder : this.getByID(folder);
     this.resetLoadedState(folder);
-    this.emptyFolder(folder);
-    this.collapseItem(folder);
     this.expandItem(folder);
     return this;
   };
@@ -2165,4 +3758,4 @@ this.HGrid = (function($) {
   };
 
   return HGrid;
-}).call(this, jQuery);
+}).call(this, jQuery, HGridTree);
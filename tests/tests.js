@@ -74,6 +74,45 @@
     return grid;
   }
 
+  // Nested data with ids, shared by the modules that look items up by id
+  function getFileData() {
+    return [
+      {name: 'Docs', kind: 'folder', id: 'docs', children: [
+        {name: 'Scripts', kind: 'folder', id: 'scripts', children: [
+          {name: 'foo.py', kind: 'item', id: 'foo', size: 5, modified: '2014-03-01'}
+        ]},
+        {name: 'mydoc.txt', kind: 'item', id: 'mydoc', size: 3, modified: '2014-01-02'}
+      ]},
+      {name: 'Music', kind: 'folder', id: 'music', children: [
+        {name: 'bar.mp3', kind: 'item', id: 'bar'}
+      ]},
+      {name: 'Empty', kind: 'folder', id: 'empty', children: []}
+    ];
+  }
+
+  function getFileGrid(args) {
+    return getMockGrid($.extend({data: getFileData()}, args));
+  }
+
+  /**
+   * Renames the keys and kinds of nested data, e.g. to the fields of an API
+   */
+  function mapFields(data, fields) {
+    return data.map(function(item) {
+      var mapped = {};
+      for (var key in item) {
+        var value = item[key];
+        if (key === 'children') {
+          value = mapFields(value, fields);
+        } else if (key === 'kind') {
+          value = fields[value] || value;
+        }
+        mapped[fields[key] || key] = value;
+      }
+      return mapped;
+    });
+  }
+
   function createServer(endpoints) {
     var server = sinon.fakeServer.create();
     for (var url in endpoints) {
@@ -276,6 +315,120 @@
     ok(tree instanceof HGrid.Tree, 'tree node was added');
   });
 
+  test('Moving item', function() {
+    var addedSpy = this.spy();
+    var movedSpy = this.spy();
+    var grid = getMockGrid({onItemAdded: addedSpy, onItemMoved: movedSpy});
+    var documents = grid.getData()[0];
+    var scripts = documents._node.children[0];
+    var music = grid.getData()[4];
+    var oldLength = grid.getData().length;
+    grid.collapseItem(scripts.getItem());
+    var moved = grid.moveItem(scripts.id, music.id);
+    equal(grid.getData().length, oldLength, 'no rows were added');
+    strictEqual(grid.getNodeByID(scripts.id), scripts, 'node identity is kept');
+    equal(moved.parentID, music.id, 'parentID is updated');
+    equal(scripts.children.length, 1, 'children are kept');
+    isTrue(grid.isCollapsed(moved), 'collapsed state is kept');
+    isFalse(addedSpy.called, 'onItemAdded is not called');
+    isTrue(movedSpy.calledOnce, 'onItemMoved is called');
+    equal(movedSpy.args[0][0], moved, 'first arg is the moved item');
+    equal(movedSpy.args[0][1], documents, 'second arg is the old parent');
+    equal(movedSpy.args[0][2].id, music.id, 'third arg is the new parent');
+    isTrue(grid.folderContains(music.id, scripts.id), 'path was updated');
+  });
+
+  test('node event callbacks', function() {
+    var spies = {};
+    ['onNodeAdded', 'onNodeRemoved', 'onNodeMoved', 'onNodeChanged',
+     'onNodeExpanded', 'onNodeCollapsed'].forEach(function(name) {
+      spies[name] = this.spy();
+    }, this);
+    var grid = getMockGrid(spies);
+    var folder = grid.getData()[0];
+    var music = grid.getData()[4];
+    var added = grid.addItem({name: 'new.txt', kind: HGrid.ITEM, parentID: folder.id});
+    ok(spies.onNodeAdded.calledOnce);
+    equal(spies.onNodeAdded.args[0][0].item, added, 'event has the item');
+    grid.patchItem(added.id, {name: 'renamed.txt'});
+    deepEqual(spies.onNodeChanged.args[0][0].changes, {name: 'renamed.txt'});
+    grid.moveItem(added.id, music.id);
+    ok(spies.onNodeMoved.calledOnce);
+    grid.collapseItem(folder);
+    grid.expandItem(folder);
+    ok(spies.onNodeCollapsed.calledOnce);
+    ok(spies.onNodeExpanded.calledOnce);
+    grid.removeItem(added.id);
+    ok(spies.onNodeRemoved.calledOnce, 'removal is surfaced');
+    equal(spies.onNodeRemoved.args[0][0].item, null, 'removed node has no item');
+    isTrue(spies.onNodeAdded.alwaysCalledOn(grid), 'called with the grid as `this`');
+    grid.destroy();
+  });
+
+  test('Traversal and queries', function() {
+    var grid = getMockGrid();
+    var documents = grid.getData()[0];
+    var scripts = grid.getData()[1];
+    var foo = grid.getData()[2];
+    var isItem = function(item) { return item.kind === HGrid.ITEM; };
+    equal(grid.find(isItem), foo, 'find returns an item');
+    equal(grid.find(isItem, grid.getData()[4]), null, 'find searches in a folder');
+    deepEqual(grid.filter(isItem), [foo, grid.getData()[3]]);
+    deepEqual(grid.getAncestors(foo.id), [scripts, documents]);
+    deepEqual(grid.getDescendants(documents), grid.getData().slice(1, 4));
+    deepEqual(grid.getSiblings(scripts), [grid.getData()[3]]);
+    deepEqual(grid.getChildrenOf(documents.id), [scripts, grid.getData()[3]]);
+    deepEqual(grid.getChildrenOf(HGrid.ROOT_ID), [documents, grid.getData()[4]]);
+    var visited = [];
+    grid.dfTraverse(function(item) {
+      visited.push(item);
+    });
+    deepEqual(visited, grid.getData(), 'dfTraverse visits items in display order');
+    var it = grid.iterator();
+    equal(it.next().value, documents, 'iterator yields items');
+    throws(function() {
+      grid.getAncestors('nope');
+    }, HGrid.Error, 'unknown ids throw');
+    grid.destroy();
+  });
+
+  test('patchItem', function() {
+    var item = myGrid.getData()[0];
+    var node = item._node;
+    var patched = myGrid.patchItem(item.id, {name: 'Renamed', size: 42});
+    strictEqual(patched, item, 'returns the item');
+    equal(item.name, 'Renamed', 'item was updated');
+    equal(node.data.name, 'Renamed', 'node data was updated');
+    equal(node.data.size, 42, 'new field was added to node data');
+    containsText('.slick-cell', 'Renamed', 'DOM was updated');
+    myGrid.tree.updateDataView(true);  // Rebuild items from the tree
+    equal(myGrid.getByID(item.id).name, 'Renamed', 'change survives rebuilding the items');
+    throws(function() {
+      myGrid.patchItem('nonexistent', {name: 'foo'});
+    }, HGrid.Error);
+  });
+
+  test('updateItem saves changes to the node', function() {
+    var item = myGrid.getData()[0];
+    item.name = 'Edited';
+    myGrid.updateItem(item);
+    equal(item._node.data.name, 'Edited', 'node data was updated');
+    equal(item._node.data.depth, undefined, 'node fields are not copied to data');
+    var changed = this.spy();
+    myGrid.tree.on('nodeChanged', changed);
+    item._processing = true;
+    item._load_status = HGrid.LOADING_STARTED;
+    myGrid.updateItem(item);
+    isFalse(changed.called, 'view fields are not changes');
+    isFalse(item._node.data.hasOwnProperty('_processing'), 'view fields are not copied to data');
+    isFalse(item._node.data.hasOwnProperty('_load_status'));
+    isTrue(myGrid.getByID(item.id)._processing, 'the item keeps them');
+    myGrid.tree.off('nodeChanged', changed);
+    myGrid.tree.sort('name', true);
+    myGrid.tree.updateDataView(true);
+    equal(myGrid.getByID(item.id).name, 'Edited', 'change survives sorting');
+  });
+
   test('Adding column', function() {
     myGrid.addColumn({
       id: 'mycol',
@@ -828,6 +981,237 @@
     equal(root.children.length, 0);
   });
 
+  test('Tree.getNodeByID', function() {
+    var root = new HGrid.Tree();
+    var tree = new HGrid.Tree({name: 'Docs', kind: HGrid.FOLDER});
+    var leaf = new HGrid.Leaf({name: 'mydoc.txt', kind: HGrid.ITEM});
+    tree.add(leaf); // NOTE: nodes are added out of hierarchical order
+    root.add(tree);
+    equal(root.dataView.getItems().length, 0, 'nodes are not in the DataView');
+    strictEqual(root.getNodeByID(tree.id), tree, 'finds tree');
+    strictEqual(root.getNodeByID(leaf.id), leaf, 'finds leaf added before its parent was attached');
+    strictEqual(root.getNodeByID(HGrid.ROOT_ID), root, 'finds root');
+    strictEqual(leaf.nodeIndex, root.nodeIndex, 'index is shared');
+    deepEqual(leaf.getPathToRoot(), [leaf.id, tree.id], 'path does not need the DataView');
+  });
+
+  test('Tree.fromObject indexes all nodes', function() {
+    var root = HGrid.Tree.fromObject([
+      {name: 'Docs', kind: HGrid.FOLDER, id: 'docs', children: [
+        {name: 'Scripts', kind: HGrid.FOLDER, id: 'scripts', children: [
+          {name: 'foo.py', kind: HGrid.ITEM, id: 'foo'}
+        ]}
+      ]}
+    ]);
+    equal(root.getNodeByID('foo').data.name, 'foo.py');
+    equal(root.getNodeByID('scripts').parentID, 'docs');
+  });
+
+  test('Tree.fromList builds the hierarchy from parent references', function() {
+    var rows = [
+      {name: 'foo.py', kind: HGrid.ITEM, id: 'foo', parentID: 'scripts'},
+      {name: 'Scripts', kind: HGrid.FOLDER, id: 'scripts', parentID: 'docs'},
+      {name: 'Docs', kind: HGrid.FOLDER, id: 'docs', parentID: null},
+      {name: 'rootfile.txt', kind: HGrid.ITEM, id: 'rootfile'}
+    ];
+    var root = HGrid.Tree.fromList(rows);
+    deepEqual(root.children.map(function(node) { return node.id; }), ['docs', 'rootfile']);
+    equal(root.getNodeByID('scripts').parentID, 'docs');
+    equal(root.getNodeByID('foo').parentID, 'scripts');
+    equal(root.getNodeByID('foo').depth, 3);
+    equal(root.getNodeByID('foo').data.parentID, undefined, 'parent reference is not kept in the data');
+    equal(rows[0].parentID, 'scripts', 'input is not modified');
+    ok(!rows[2].children, 'input is not modified');
+  });
+
+  test('Tree.fromList reports orphans and cycles', function() {
+    throws(function() {
+      HGrid.Tree.fromList([
+        {name: 'Docs', kind: HGrid.FOLDER, id: 'docs'},
+        {name: 'foo.py', kind: HGrid.ITEM, id: 'foo', parentID: 'missing'}
+      ]);
+    }, /missing parents: foo/, 'orphan');
+    throws(function() {
+      HGrid.Tree.fromList([
+        {name: 'Docs', kind: HGrid.FOLDER, id: 'docs'},
+        {name: 'A', kind: HGrid.FOLDER, id: 'a', parentID: 'b'},
+        {name: 'B', kind: HGrid.FOLDER, id: 'b', parentID: 'a'},
+        {name: 'foo.py', kind: HGrid.ITEM, id: 'foo', parentID: 'a'}
+      ]);
+    }, /Cycle in parent references: a -> b -> a/, 'cycle');
+    throws(function() {
+      HGrid.Tree.fromList([{name: 'A', kind: HGrid.FOLDER, id: 'a', parentID: 'a'}]);
+    }, HGrid.Error, 'folder that is its own parent');
+    throws(function() {
+      HGrid.Tree.fromList([
+        {name: 'foo.py', kind: HGrid.ITEM, id: 'foo'},
+        {name: 'bar.py', kind: HGrid.ITEM, id: 'bar', parentID: 'foo'}
+      ]);
+    }, /not a folder/, 'item as parent');
+  });
+
+  test('Tree.fromPaths synthesizes folders', function() {
+    var root = HGrid.Tree.fromPaths(['a/b/c.txt', 'a/d/', {path: 'e.md', size: 12}, 'a/b/f.txt']);
+    deepEqual(root.children.map(function(node) { return node.id; }), ['/a', '/e.md']);
+    var b = root.getNodeByID('/a/b');
+    ok(b instanceof HGrid.Tree, 'intermediate folder is created');
+    equal(b.data.name, 'b');
+    deepEqual(b.children.map(function(node) { return node.data.name; }), ['c.txt', 'f.txt'],
+      'paths in the same folder share it');
+    ok(root.getNodeByID('/a/d') instanceof HGrid.Tree, 'trailing separator is a folder');
+    ok(root.getNodeByID('/e.md') instanceof HGrid.Leaf);
+    equal(root.getNodeByID('/e.md').data.size, 12, 'metadata is attached');
+    equal(root.getNodeByID('/e.md').data.path, undefined);
+  });
+
+  test('Tree.fromPaths options and errors', function() {
+    var root = HGrid.Tree.fromPaths(['a\\b.txt'], {separator: '\\'});
+    equal(root.getNodeByID('\\a\\b.txt').data.name, 'b.txt', 'custom separator');
+    throws(function() {
+      HGrid.Tree.fromPaths(['a/b', 'a/b/c.txt']);
+    }, /conflicts with the item at "\/a\/b"/);
+    throws(function() {
+      HGrid.Tree.fromPaths(['a/', '']);
+    }, /index 1 is empty/);
+  });
+
+  test('Tree.remove updates the node index and DataView', function() {
+    var root = getTree();
+    var tree = root.children[0];
+    var subtree = tree.children[1];
+    var subsubtree = subtree.children[0];
+    equal(root.dataView.getItems().length, 4, 'sanity check');
+    strictEqual(root.remove(subtree.id), subtree, 'returns removed node');
+    equal(root.getNodeByID(subtree.id), undefined, 'node was removed from index');
+    equal(root.getNodeByID(subsubtree.id), undefined, 'descendant was removed from index');
+    ok(!root.dataView.getItemById(subsubtree.id), 'descendant item was removed from dataview');
+    equal(root.dataView.getItems().length, 2);
+    strictEqual(root.remove(subtree.id), null, 'removing a missing node returns null');
+    strictEqual(subtree.remove(tree), null, 'cannot remove a node that is not a descendant');
+  });
+
+  test('Tree.empty updates the node index', function() {
+    var root = getTree();
+    var tree = root.children[0];
+    var leaf = tree.children[0];
+    tree.empty();
+    equal(root.getNodeByID(leaf.id), undefined, 'child was removed from index');
+    strictEqual(root.getNodeByID(tree.id), tree, 'tree is still indexed');
+    tree.empty(true);
+    equal(root.children.length, 0, 'tree was removed from its parent');
+    equal(root.getNodeByID(tree.id), undefined, 'tree was removed from index');
+  });
+
+  test('Tree.moveTo', function() {
+    var root = getTree();
+    var tree = root.children[0];
+    var subtree = tree.children[1];
+    var subsubtree = subtree.children[0];
+    var item = subtree.getItem();
+    subtree.moveTo(root, 0);
+    strictEqual(root.children[0], subtree, 'node was inserted at the index');
+    equal(tree.children.length, 1, 'node was removed from old parent');
+    equal(subtree.parentID, HGrid.ROOT_ID, 'parentID was updated');
+    equal(subtree.depth, 1, 'depth was updated');
+    equal(subsubtree.depth, 2, 'depth of descendants was updated');
+    strictEqual(subsubtree.parentID, subtree.id, 'children are kept');
+    strictEqual(subtree.getItem(), item, 'item is reused');
+    equal(item.depth, 1, 'item depth was updated');
+    deepEqual(root.dataView.getItems().map(function(item) { return item.id; }),
+      [subtree.id, subsubtree.id, tree.id, tree.children[0].id], 'rows were moved');
+  });
+
+  test('Tree.moveTo into a collapsed folder', function() {
+    var root = getTree();
+    var tree = root.children[0];
+    var leaf = tree.children[0];
+    var other = new HGrid.Tree({name: 'Other', kind: HGrid.FOLDER});
+    root.add(other, true);
+    other.collapse();
+    leaf.moveTo(other);
+    isTrue(leaf.isHidden(), 'moved node is hidden');
+    isTrue(leaf.getItem()._hidden, 'item is hidden');
+    leaf.moveTo(tree);
+    isFalse(leaf.isHidden(), 'moved node is visible again');
+  });
+
+  test('Tree.moveTo into a descendant throws', function() {
+    var root = getTree();
+    var tree = root.children[0];
+    var subtree = tree.children[1];
+    throws(function() {
+      tree.moveTo(subtree);
+    }, HGrid.Error);
+    throws(function() {
+      tree.moveTo(tree);
+    }, HGrid.Error);
+    throws(function() {
+      subtree.moveTo(tree.children[0]);
+    }, HGrid.Error, 'cannot move into a leaf');
+  });
+
+  test('Tree.reconcile', function() {
+    var root = HGrid.Tree.fromObject([
+      {id: 'docs', name: 'Documents', kind: HGrid.FOLDER, children: [
+        {id: 'a', name: 'a.txt', kind: HGrid.ITEM, size: 1},
+        {id: 'b', name: 'b.txt', kind: HGrid.ITEM, size: 2}
+      ]}
+    ]);
+    root.updateDataView();
+    var docs = root.getNodeByID('docs');
+    var a = root.getNodeByID('a');
+    var itemA = a.getItem();
+    var result = root.reconcile([
+      {id: 'docs', name: 'Documents', kind: HGrid.FOLDER, children: [
+        {id: 'a', name: 'a.txt', kind: HGrid.ITEM, size: 10},
+        {id: 'c', name: 'c.txt', kind: HGrid.ITEM, size: 3}
+      ]}
+    ]);
+    strictEqual(root.getNodeByID('docs'), docs, 'folder node is kept');
+    strictEqual(root.getNodeByID('a'), a, 'unchanged id keeps its node');
+    strictEqual(a.getItem(), itemA, 'and its item');
+    equal(a.data.size, 10, 'changed field is updated on node');
+    equal(itemA.size, 10, 'changed field is updated on item');
+    equal(root.getNodeByID('b'), undefined, 'missing node was removed');
+    ok(!root.dataView.getItemById('b'), 'missing item was removed');
+    equal(root.dataView.getItemById('c').parentID, 'docs', 'new item was added');
+    deepEqual(result.changed, [a]);
+    deepEqual(result.removed.map(function(n) { return n.id; }), ['b']);
+    deepEqual(result.added.map(function(n) { return n.id; }), ['c']);
+  });
+
+  test('Tree.reconcile matches data without ids by name and kind', function() {
+    var root = HGrid.Tree.fromObject([
+      {name: 'Music', kind: HGrid.FOLDER, children: []},
+      {name: 'foo.py', kind: HGrid.ITEM}
+    ]);
+    var music = root.children[0];
+    var foo = root.children[1];
+    root.reconcile([
+      {name: 'foo.py', kind: HGrid.ITEM},
+      {name: 'Music', kind: HGrid.ITEM}
+    ]);
+    strictEqual(root.getNodeByID(foo.id), foo, 'item is kept');
+    equal(root.getNodeByID(music.id), undefined, 'folder replaced by an item of the same name is removed');
+    equal(root.children.length, 2);
+  });
+
+  test('Tree.reconcile with lazy and keep options', function() {
+    var root = HGrid.Tree.fromObject([
+      {id: 'music', name: 'Music', kind: HGrid.FOLDER, children: [
+        {id: 'song', name: 'song.mp3', kind: HGrid.ITEM}
+      ]},
+      {id: 'upload', name: 'upload.txt', kind: HGrid.ITEM}
+    ]);
+    var upload = root.getNodeByID('upload');
+    root.reconcile([{id: 'music', name: 'Music', kind: HGrid.FOLDER, children: []}], {
+      lazy: true,
+      keep: function(node) { return node === upload; }
+    });
+    ok(root.getNodeByID('song'), 'empty children are treated as not loaded');
+    strictEqual(root.getNodeByID('upload'), upload, 'kept node is not removed');
+  });
+
   test('Creating trees with metadata', function() {
     var t1 = new HGrid.Tree({
       name: 'foo.py',
@@ -869,7 +1253,9 @@
       kind: tree.data.kind,
       parentID: 'root',
       depth: tree.depth,
-      _node: tree
+      _node: tree,
+      _collapsed: false,
+      _hidden: false
     }]);
     // root is not included in data
     deepEqual(root.toData(), tree.toData(), 'root is excluded from data');
@@ -884,7 +1270,9 @@
       kind: leaf.data.kind,
       parentID: tree.id,
       depth: leaf.depth,
-      _node: leaf
+      _node: leaf,
+      _collapsed: false,
+      _hidden: false
     }, 'Converting leaf to data');
     deepEqual(tree.toData(), [{
         id: tree.id,
@@ -892,7 +1280,9 @@
         kind: tree.data.kind,
         parentID: 'root',
         depth: tree.depth,
-        _node: tree
+        _node: tree,
+        _collapsed: false,
+        _hidden: false
       },
       leaf.toData()
     ], 'Converting tree to data');
@@ -911,10 +1301,27 @@
       depth: tree.depth,
       parentID: null,
       _node: tree,
-      lang: 'python'
+      lang: 'python',
+      _collapsed: false,
+      _hidden: false
     }]);
   });
 
+  test('Tree.toData() includes view state', function() {
+    var root = new HGrid.Tree();
+    var tree = new HGrid.Tree({name: 'Docs', kind: HGrid.FOLDER});
+    var leaf = new HGrid.Leaf({name: 'mydoc.txt', kind: HGrid.ITEM});
+    root.add(tree);
+    tree.add(leaf);
+    tree.collapse();  // Not in the DataView yet
+    isTrue(tree.isCollapsed(), 'state is saved on the node');
+    isTrue(leaf.isHidden(), 'state is saved on the child node');
+    var data = root.toData();
+    isTrue(data[0]._collapsed, 'tree item is collapsed');
+    isFalse(data[0]._hidden, 'tree item is visible');
+    isTrue(data[1]._hidden, 'leaf item is hidden');
+  });
+
   test('Tree.empty', function() {
     var tree = getTree();
     var node = tree.children[0];
@@ -976,6 +1383,152 @@
     equal(root.dataView.getItems().length, root.toData().length, 'DataView and Tree have same data length');
   });
 
+  function names(nodes) {
+    return nodes.map(function(node) { return node.data.name; });
+  }
+
+  function getTraversalTree() {
+    return HGrid.Tree.fromObject([{
+      name: 'Documents',
+      kind: HGrid.FOLDER,
+      children: [{
+        name: 'Scripts',
+        kind: HGrid.FOLDER,
+        children: [{name: 'foo.py', kind: HGrid.ITEM}]
+      }, {
+        name: 'mydoc.txt',
+        kind: HGrid.ITEM
+      }]
+    }, {
+      name: 'rootfile.js',
+      kind: HGrid.ITEM
+    }]);
+  }
+
+  test('Tree.dfTraverse', function() {
+    var root = getTraversalTree();
+    var visited = [];
+    root.dfTraverse(function(node) {
+      visited.push(node.id);
+    });
+    deepEqual(visited, ['root'].concat(root.descendants().map(function(n) { return n.id; })),
+      'visits self, then descendants');
+    deepEqual(names(root.descendants()), ['Documents', 'Scripts', 'foo.py', 'mydoc.txt', 'rootfile.js'],
+      'descendants are in display order');
+    var shallow = [];
+    root.dfTraverse(function(node) {
+      shallow.push(node);
+    }, 1);
+    equal(shallow.length, 3, 'respects maxDepth');
+    var count = 0;
+    root.dfTraverse(function() {
+      return ++count < 2;
+    });
+    equal(count, 2, 'returning false stops the traversal');
+  });
+
+  test('Tree.find and Tree.filter', function() {
+    var root = getTraversalTree();
+    var docs = root.children[0];
+    var isItem = function(node) { return node.data.kind === HGrid.ITEM; };
+    equal(root.find(isItem).data.name, 'foo.py', 'finds first match in depth-first order');
+    equal(root.find(function() { return false; }), null, 'returns null if nothing matches');
+    strictEqual(docs.find(function(node) { return node === docs; }), null, 'does not match itself');
+    deepEqual(names(root.filter(isItem)), ['foo.py', 'mydoc.txt', 'rootfile.js']);
+    deepEqual(names(docs.filter(isItem)), ['foo.py', 'mydoc.txt'], 'only searches descendants');
+    deepEqual(docs.children[1].filter(isItem), [], 'leaves have no descendants');
+  });
+
+  test('Tree.ancestors, siblings, and getChildrenOf', function() {
+    var root = getTraversalTree();
+    var docs = root.children[0];
+    var foo = docs.children[0].children[0];
+    deepEqual(names(foo.ancestors()), ['Scripts', 'Documents'], 'ancestors exclude the root');
+    deepEqual(docs.ancestors(), []);
+    deepEqual(names(docs.children[1].siblings()), ['Scripts']);
+    deepEqual(names(docs.siblings()), ['rootfile.js']);
+    deepEqual(names(root.getChildrenOf(docs.id)), ['Scripts', 'mydoc.txt']);
+    notStrictEqual(root.getChildrenOf(docs.id), docs.children, 'returns a copy');
+    deepEqual(foo.getChildrenOf(foo.id), [], 'works from any node');
+    equal(root.getChildrenOf('nope'), null, 'null for unknown ids');
+  });
+
+  test('Tree iterator', function() {
+    var root = getTraversalTree();
+    var it = root.iterator();
+    var visited = [];
+    for (var next = it.next(); !next.done; next = it.next()) {
+      visited.push(next.value);
+    }
+    deepEqual(visited, root.descendants());
+    isTrue(root.children[1].iterator().next().done, 'leaf iterator is empty');
+    if (typeof Symbol === 'function' && Symbol.iterator) {
+      equal(typeof root[Symbol.iterator], 'function', 'trees are iterable');
+      deepEqual(Array.from ? Array.from(root) : visited, visited);
+    }
+  });
+
+  test('Tree emits node events', function() {
+    var root = getTraversalTree();
+    var docs = root.children[0];
+    var events = [];
+    root.on('nodeAdded', function(event) { events.push(event); });
+    root.on('nodeRemoved', function(event) { events.push(event); });
+    root.on('nodeMoved', function(event) { events.push(event); });
+    var leaf = new HGrid.Leaf({name: 'new.txt', kind: HGrid.ITEM});
+    docs.add(leaf);
+    deepEqual([events[0].type, events[0].node, events[0].parent, events[0].index],
+      ['nodeAdded', leaf, docs, 2], 'nodeAdded bubbles to the root');
+    leaf.moveTo(root, 0);
+    deepEqual([events[1].type, events[1].from, events[1].to, events[1].index],
+      ['nodeMoved', docs, root, 0]);
+    root.remove(docs.id);
+    equal(events.length, 3, 'one event for removing a subtree');
+    deepEqual([events[2].type, events[2].node, events[2].parent], ['nodeRemoved', docs, root]);
+    var added = [];
+    root.on('nodeAdded', function(event) { added.push(event.node.data.name); });
+    var sub = HGrid.Tree.fromObject({name: 'Archive', kind: HGrid.FOLDER, children: [
+      {name: 'old.txt', kind: HGrid.ITEM}
+    ]}, root);
+    deepEqual(added, [], 'nothing is emitted before a subtree is added');
+    root.add(sub);
+    deepEqual(added, ['Archive'], 'one event for adding a subtree');
+    var before = events.length, count = root.children.length;
+    root.empty();
+    equal(events.length, before + count, 'emptying emits nodeRemoved for each child');
+  });
+
+  test('Tree emits expand and collapse events', function() {
+    var root = getTraversalTree();
+    var docs = root.children[0];
+    var spy = this.spy();
+    docs.on('nodeCollapsed', spy);
+    docs.on('nodeExpanded', spy);
+    docs.collapse();
+    docs.collapse();
+    ok(spy.calledOnce, 'emitted when the state changes');
+    equal(spy.args[0][0].type, 'nodeCollapsed');
+    equal(spy.args[0][0].node, docs);
+    docs.expand();
+    equal(spy.args[1][0].type, 'nodeExpanded');
+    root.collapse();
+    equal(spy.callCount, 2, 'hidden descendants do not emit nodeCollapsed');
+  });
+
+  test('Tree.once and Tree.off', function() {
+    var root = getTraversalTree();
+    var spy = this.spy(), onceSpy = this.spy();
+    root.on('nodeAdded', spy);
+    root.once('nodeAdded', onceSpy);
+    root.add(new HGrid.Leaf({name: 'a', kind: HGrid.ITEM}));
+    root.add(new HGrid.Leaf({name: 'b', kind: HGrid.ITEM}));
+    ok(onceSpy.calledOnce, 'once listeners are called once');
+    ok(spy.calledTwice);
+    root.off('nodeAdded', spy);
+    root.add(new HGrid.Leaf({name: 'c', kind: HGrid.ITEM}));
+    ok(spy.calledTwice, 'listener is removed');
+  });
+
 
   var tree, data;
   module('Sorting trees', {
@@ -1022,6 +1575,93 @@
     equal(sorted[2].name, 'bar.js');
   });
 
+  test('sortCmp sorts recursively with a node comparator', function() {
+    tree.sortCmp(function(node1, node2) {
+      return node2.data.name.localeCompare(node1.data.name);
+    });
+    var sorted = tree.toData();
+    equal(sorted[0].name, 'Scripts');
+    equal(sorted[1].name, 'foo.py');
+    equal(sorted[2].name, 'bar.js');
+  });
+
+  test('sorting with a comparator', function() {
+    var nums = new HGrid.Tree.fromObject([
+      {name: 'ten', size: 10, kind: HGrid.ITEM},
+      {name: 'nine', size: '9', kind: HGrid.ITEM},
+      {name: 'none', kind: HGrid.ITEM}
+    ]);
+    nums.sort('size', true, {comparator: 'numeric'});
+    deepEqual(nums.toData().map(function(d) { return d.name; }),
+      ['none', 'nine', 'ten'], 'missing values first, numbers by value');
+    nums.sort('size', true, {comparator: HGrid.Comparators.raw});
+    equal(nums.toData()[1].name, 'ten', 'raw comparison compares strings');
+  });
+
+  test('natural and date comparators', function() {
+    var natural = HGrid.Comparators.natural;
+    ok(natural('file2', 'file10') < 0, 'numbers compared by value');
+    equal(natural('README', 'readme'), 0, 'case-insensitive');
+    ok(natural('a.txt', 'B.txt') < 0);
+    var date = HGrid.Comparators.date;
+    ok(date('2014-01-02', '2013-12-31') > 0);
+    ok(date(new Date(2014, 0, 1), new Date(2014, 0, 2).getTime()) < 0, 'accepts Dates and timestamps');
+    equal(date(null, 'not a date'), 0, 'missing and invalid dates are equal');
+  });
+
+  test('sorting with an unknown comparator throws', function() {
+    throws(function() {
+      tree.sort('name', true, {comparator: 'nope'});
+    }, HGrid.Error);
+  });
+
+  test('sortBy breaks ties with later keys', function() {
+    var files = new HGrid.Tree.fromObject([
+      {name: 'b', size: 1, kind: HGrid.ITEM},
+      {name: 'c', size: 2, kind: HGrid.ITEM},
+      {name: 'a', size: 1, kind: HGrid.ITEM}
+    ]);
+    files.sortBy([{key: 'size', asc: false}, {key: 'name', asc: true}]);
+    deepEqual(files.toData().map(function(d) { return d.name; }), ['c', 'a', 'b']);
+  });
+
+  test('sorting with foldersFirst', function() {
+    var mixed = new HGrid.Tree.fromObject([
+      {name: 'a.txt', kind: HGrid.ITEM},
+      {name: 'Zed', kind: HGrid.FOLDER, children: []},
+      {name: 'b.txt', kind: HGrid.ITEM}
+    ]);
+    mixed.sort('name', true, {foldersFirst: true});
+    deepEqual(mixed.toData().map(function(d) { return d.name; }), ['Zed', 'a.txt', 'b.txt']);
+    mixed.sort('name', false, {foldersFirst: true});
+    deepEqual(mixed.toData().map(function(d) { return d.name; }), ['Zed', 'b.txt', 'a.txt'],
+      'folders stay first when sorting descending');
+  });
+
+  test('adding to a sorted tree keeps the sort order', function() {
+    tree.sort('name', false);
+    var docs = tree.children[1];
+    docs.add(new HGrid.Leaf({name: 'ab.txt', kind: HGrid.ITEM}));
+    deepEqual(docs.children.map(function(n) { return n.data.name; }),
+      ['b.txt', 'ab.txt', 'a.txt'], 'leaf inserted at sorted position');
+    var sub = HGrid.Tree.fromObject({name: 'Archive', kind: HGrid.FOLDER, children: [
+      {name: 'x', kind: HGrid.ITEM}, {name: 'z', kind: HGrid.ITEM}
+    ]}, docs);
+    docs.add(sub);
+    equal(docs.children[3], sub, 'subtree inserted at sorted position');
+    equal(sub.children[0].data.name, 'z', 'added subtree is sorted');
+  });
+
+  test('moving into a sorted tree without an index keeps the sort order', function() {
+    tree.sort('name', true);
+    var leaf = tree.children[1].children[1]; // foo.py
+    leaf.moveTo(tree.children[0]);
+    deepEqual(tree.children[0].children.map(function(n) { return n.data.name; }),
+      ['a.txt', 'b.txt', 'foo.py']);
+    leaf.moveTo(tree.children[0], 0);
+    equal(tree.children[0].children[0], leaf, 'an explicit index is respected');
+  });
+
   module('Slickgrid events', {
     setup: function() {
       myGrid = new HGrid('#myGrid', {
@@ -1064,6 +1704,20 @@
     ok(myGrid.tree.sort.calledWith(column.sortkey, true), 'sort was called');
   });
 
+  test('onSort preserves collapsed state', function() {
+    var folder = myGrid.getData()[0];
+    var child = folder._node.children[0];
+    myGrid.collapseItem(folder);
+    triggerSlick(myGrid.grid.onSort, {
+      sortCol: myGrid.grid.getColumns()[0],
+      sortAsc: false
+    });
+    var item = myGrid.getByID(folder.id);
+    isTrue(myGrid.isCollapsed(item), 'folder is still collapsed');
+    isTrue(myGrid.getByID(child.id)._hidden, 'child is still hidden');
+    notContainsText('.slick-cell', child.data.name, 'child is not in the DOM');
+  });
+
   test('onSort without a sortkey throws exception', function() {
     throws(function() {
       triggerSlick(myGrid.grid.onSort, {
@@ -1072,6 +1726,87 @@
     }, HGrid.Error, 'HGrid error is thrown');
   });
 
+  test('onSort with multiple columns', function() {
+    var nameCol = myGrid.grid.getColumns()[0];
+    var sizeCol = {id: 'size', sortkey: 'size', comparator: 'numeric'};
+    this.spy(myGrid.tree, 'sortBy');
+    var spy = this.spy();
+    myGrid.options.onSort = spy;
+    triggerSlick(myGrid.grid.onSort, {
+      multiColumnSort: true,
+      sortCols: [{sortCol: sizeCol, sortAsc: false}, {sortCol: nameCol, sortAsc: true}]
+    });
+    var specs = myGrid.tree.sortBy.firstCall.args[0];
+    deepEqual(specs, [
+      {key: 'size', asc: false, comparator: 'numeric'},
+      {key: 'name', asc: true, comparator: 'natural'}
+    ], 'sorts on each column');
+    ok(spy.calledWith(sinon.match.any, sizeCol), 'primary column passed to callback');
+  });
+
+  test('onSort respects foldersFirst', function() {
+    var docs = myGrid.getData()[0]._node;
+    var sortArgs = {sortCol: myGrid.grid.getColumns()[0], sortAsc: true};
+    triggerSlick(myGrid.grid.onSort, sortArgs);
+    equal(docs.children[0].data.name, 'mydoc.txt', 'sorted by name');
+    myGrid.options.foldersFirst = true;
+    triggerSlick(myGrid.grid.onSort, sortArgs);
+    equal(docs.children[0].data.name, 'Scripts', 'folder is sorted first');
+    equal(myGrid.getData()[1].name, 'Scripts', 'dataview is updated');
+  });
+
+  test('removing the only sorted column restores the unsorted order', function() {
+    var names = function() {
+      return myGrid.getData().map(function(item) { return item.name; });
+    };
+    var before = names();
+    var column = myGrid.grid.getColumns()[0];
+    triggerSlick(myGrid.grid.onSort, {
+      multiColumnSort: true, sortCols: [{sortCol: column, sortAsc: false}]
+    });
+    notDeepEqual(names(), before, 'sorted');
+    var spy = this.spy();
+    myGrid.options.onSort = spy;
+    triggerSlick(myGrid.grid.onSort, {multiColumnSort: true, sortCols: []});
+    deepEqual(names(), before, 'the unsorted order is restored');
+    equal(myGrid.currentSort, null);
+    equal(myGrid.tree.sortComparator, null);
+    ok(spy.calledWith(sinon.match.any, null), 'no column is passed to the callback');
+  });
+
+  test('multiColumnSort is passed to Slick', function() {
+    isTrue(myGrid.grid.getOptions().multiColumnSort);
+  });
+
+  test('onSort remembers the current sort', function() {
+    equal(myGrid.currentSort, null, 'no sort initially');
+    var column = myGrid.grid.getColumns()[0];
+    triggerSlick(myGrid.grid.onSort, {sortCol: column, sortAsc: false});
+    deepEqual(myGrid.currentSort, [{columnId: column.id, sortAsc: false}]);
+  });
+
+  test('items added after sorting are inserted in sorted order', function() {
+    triggerSlick(myGrid.grid.onSort, {
+      sortCol: myGrid.grid.getColumns()[0],
+      sortAsc: true
+    });
+    var docs = myGrid.getByID(myGrid.tree.children[0].id);
+    var added = myGrid.addItem({name: 'notes.txt', kind: HGrid.ITEM, parentID: docs.id});
+    var names = myGrid.getData().map(function(item) { return item.name; });
+    deepEqual(names.slice(0, 5), [docs.name, 'mydoc.txt', 'notes.txt', 'Scripts', 'foo.py'],
+      'row inserted at sorted position');
+    equal(docs._node.children[1], added._node, 'node inserted at sorted position');
+    myGrid.addItem({name: 'Art', kind: HGrid.FOLDER});
+    equal(myGrid.getData()[0].name, 'Art', 'top-level items are sorted too');
+  });
+
+  test('onCellChange saves edits to the node', function() {
+    var item = myGrid.getData()[1];
+    item.name = 'Edited in cell';
+    triggerSlick(myGrid.grid.onCellChange, {item: item});
+    equal(item._node.data.name, 'Edited in cell');
+  });
+
   test('onMouseLeave', function() {
     this.spy(myGrid, 'removeHighlight');
     triggerSlick(myGrid.grid.onMouseLeave);
@@ -1566,6 +2301,1563 @@
     containsText('.slick-cell', 'mydoc.txt', 'fileadded to DOM');
   });
 
+  test('addData keeps the sort order', function() {
+    var grid = getMockGrid({
+      data: [{name: 'Computer', kind: 'folder', id: 0, children: [
+        {name: 'b.txt', kind: 'item'}, {name: 'd.txt', kind: 'item'}
+      ]}]
+    });
+    grid.tree.sort('name', true);
+    grid.addData([{name: 'c.txt', kind: 'item'}, {name: 'a.txt', kind: 'item'}], 0);
+    var names = grid.getData().map(function(item) { return item.name; });
+    deepEqual(names, ['Computer', 'a.txt', 'b.txt', 'c.txt', 'd.txt']);
+    grid.destroy();
+  });
+
+  function getBulkData() {
+    return [
+      {name: 'Docs', kind: 'folder', id: 'docs', children: [
+        {name: 'Scripts', kind: 'folder', id: 'scripts', children: [
+          {name: 'a.py', kind: 'item', id: 'a'}
+        ]}
+      ]},
+      {name: 'Music', kind: 'folder', id: 'music', children: []}
+    ];
+  }
+
+  function getBulkItems() {
+    return [
+      {name: 'x.txt', kind: 'item', id: 'x', parentID: 'docs'},
+      {name: 'Sub', kind: 'folder', id: 'sub', parentID: 'docs'},
+      {name: 'y.txt', kind: 'item', id: 'y', parentID: 'sub'},
+      {name: 'z.mp3', kind: 'item', id: 'z', parentID: 'music'},
+      {name: 'b.py', kind: 'item', id: 'b', parentID: 'scripts'},
+      {name: 'top.txt', kind: 'item', id: 'top'}
+    ];
+  }
+
+  function rowIDs(grid) {
+    return grid.getVisibleData().map(function(item) { return item.id; });
+  }
+
+  test('addItems inserts the rows in one pass', function() {
+    var addedSpy = this.spy();
+    var single = getMockGrid({data: getBulkData()});
+    getBulkItems().forEach(function(item) {
+      single.addItem(item);
+    });
+    var grid = getMockGrid({data: getBulkData(), onItemAdded: addedSpy});
+    var dataView = grid.getDataView();
+    var countSpy = this.spy();
+    dataView.onRowCountChanged.subscribe(countSpy);
+    this.spy(dataView, 'insertItem');
+    grid.addItems(getBulkItems());
+    deepEqual(rowIDs(grid), rowIDs(single), 'rows are where addItem puts them');
+    isFalse(dataView.insertItem.called, 'rows are not inserted one by one');
+    isTrue(countSpy.calledOnce, 'the row count changes once');
+    equal(addedSpy.callCount, 6, 'onItemAdded is called for each item');
+    equal(addedSpy.args[2][0], grid.getByID('y'), 'with the added item');
+    equal(grid.getByID('y').depth, 3);
+    containsText('.slick-cell', 'b.py', 'rows are rendered');
+    grid.undo();
+    ok(!grid.getByID('top'), 'additions are undoable');
+    single.destroy();
+    grid.destroy();
+  });
+
+  test('addItems keeps the sort order', function() {
+    var grid = getMockGrid({data: getBulkData()});
+    grid.tree.sort('name', true);
+    grid.addItems([
+      {name: 'Art', kind: 'folder', id: 'art'},
+      {name: 'c.py', kind: 'item', id: 'c', parentID: 'scripts'},
+      {name: 'Zines', kind: 'folder', id: 'zines'},
+      {name: '0.py', kind: 'item', id: '0', parentID: 'scripts'}
+    ]);
+    deepEqual(rowIDs(grid), ['art', 'docs', 'scripts', '0', 'a', 'c', 'music', 'zines']);
+    grid.destroy();
+  });
+
+  test('addData inserts the rows in one pass', function() {
+    var grid = getMockGrid({data: getBulkData()});
+    var dataView = grid.getDataView();
+    var countSpy = this.spy();
+    dataView.onRowCountChanged.subscribe(countSpy);
+    this.spy(dataView, 'insertItem');
+    var data = [];
+    for (var i = 0; i < 50; i++) {
+      data.push({name: 'file' + i, kind: 'item', id: 'f' + i});
+    }
+    data.push({name: 'Nested', kind: 'folder', id: 'nested', children: [
+      {name: 'n.txt', kind: 'item', id: 'n'}
+    ]});
+    grid.addData(data, 'music');
+    isFalse(dataView.insertItem.called, 'rows are not inserted one by one');
+    isTrue(countSpy.calledOnce, 'the row count changes once');
+    var ids = rowIDs(grid);
+    equal(ids.length, 56);
+    deepEqual(ids.slice(ids.indexOf('music'), ids.indexOf('music') + 4), ['music', 'nested', 'n', 'f49']);
+    grid.destroy();
+  });
+
+  test('insertIntoDataView inserts a subtree\'s rows at once, in order', function() {
+    var grid = getMockGrid({data: getBulkData()});
+    var dataView = grid.getDataView();
+    this.spy(dataView, 'insertItem');
+    var folder = HGrid.Tree.fromObject({name: 'New', kind: 'folder', id: 'new', children: [
+      {name: 'Inner', kind: 'folder', id: 'inner', children: [{name: 'i.txt', kind: 'item', id: 'i'}]},
+      {name: 'o.txt', kind: 'item', id: 'o'}
+    ]}, grid.tree);
+    grid.tree.add(folder, true);
+    isFalse(dataView.insertItem.called);
+    deepEqual(rowIDs(grid).slice(0, 4), ['new', 'inner', 'i', 'o'], 'rows follow the tree order');
+    grid.destroy();
+  });
+
+  test('data and addData accept flat rows', function() {
+    var grid = getMockGrid({
+      flat: true,
+      data: [
+        {name: 'mydoc.txt', kind: 'item', id: 'mydoc', parentID: 'docs'},
+        {name: 'Docs', kind: 'folder', id: 'docs', parentID: null}
+      ]
+    });
+    equal(grid.getByID('mydoc').parentID, 'docs');
+    grid.addData([
+      {name: 'foo.py', kind: 'item', id: 'foo', parentID: 'scripts'},
+      {name: 'Scripts', kind: 'folder', id: 'scripts', parentID: 'docs'}
+    ], 'docs');
+    equal(grid.getByID('scripts').parentID, 'docs', 'rows with the given parentID are added to the parent');
+    equal(grid.getByID('foo').parentID, 'scripts');
+    containsText('.slick-cell', 'foo.py', 'nested row added to DOM');
+    throws(function() {
+      grid.addData([{name: 'bar.py', kind: 'item', id: 'bar', parentID: 'missing'}], 'docs');
+    }, /missing parents: bar/);
+    grid.destroy();
+  });
+
+  test('data and addData accept paths', function() {
+    var grid = getMockGrid({
+      data: {paths: ['docs/reports/q3.pdf', {path: 'docs/notes.txt', size: 3}]}
+    });
+    equal(grid.getByID('/docs/notes.txt').size, 3);
+    grid.addData(['docs/reports/q4.pdf', 'music/'], HGrid.ROOT_ID);
+    var reports = grid.getNodeByID('/docs/reports');
+    deepEqual(reports.children.map(function(node) { return node.data.name; }), ['q3.pdf', 'q4.pdf'],
+      'paths are merged into the existing folder');
+    equal(grid.getData().filter(function(item) { return item.name === 'docs'; }).length, 1,
+      'folder is not added twice');
+    grid.addData(['q5.pdf'], '/docs/reports');
+    equal(grid.getByID('/docs/reports/q5.pdf').parentID, '/docs/reports', 'paths are relative to the parent');
+    containsText('.slick-cell', 'q5.pdf');
+    var q3 = grid.getByID('/docs/reports/q3.pdf');
+    grid.reconcileFolder('/docs/reports', ['q3.pdf']);
+    strictEqual(grid.getByID('/docs/reports/q3.pdf'), q3, 'reconciled paths keep their rows');
+    ok(!grid.getByID('/docs/reports/q4.pdf'), 'missing paths are removed');
+    grid.destroy();
+  });
+
+  module('Reconciling data', {});
+
+  test('reconcileFolder keeps expand state and rows', function() {
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: [
+        {name: 'Scripts', kind: 'folder', id: 'scripts', children: [
+          {name: 'foo.py', kind: 'item', id: 'foo'}
+        ]},
+        {name: 'old.txt', kind: 'item', id: 'old'}
+      ]}]
+    });
+    var scripts = grid.getByID('scripts');
+    grid.collapseItem(scripts);
+    var result = grid.reconcileFolder('docs', [
+      {name: 'Scripts', kind: 'folder', id: 'scripts', children: [
+        {name: 'foo.py', kind: 'item', id: 'foo'}
+      ]},
+      {name: 'new.txt', kind: 'item', id: 'new'}
+    ]);
+    strictEqual(grid.getByID('scripts'), scripts, 'folder item is kept');
+    isTrue(grid.isCollapsed(scripts), 'nested folder is still collapsed');
+    notContainsText('.slick-cell', 'foo.py', 'collapsed contents are not in DOM');
+    notContainsText('.slick-cell', 'old.txt', 'removed item is not in DOM');
+    containsText('.slick-cell', 'new.txt', 'added item is in DOM');
+    equal(result.added.length, 1);
+    equal(result.removed.length, 1);
+  });
+
+  test('reconcileFolder keeps in-progress uploads', function() {
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}]
+    });
+    grid.currentTarget = grid.getByID('docs');
+    var file = getMockFile();
+    var added = grid.dropzoneEvents.addedfile.call(grid, file);
+    grid.reconcileFolder('docs', []);
+    ok(grid.getByID(added.id), 'upload row is kept');
+    grid.dropzoneEvents.complete.call(grid, file);
+    grid.reconcileFolder('docs', []);
+    ok(!grid.getByID(added.id), 'completed upload row is reconciled');
+  });
+
+  test('reloadFolder reconciles fetched data', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'Scripts', kind: 'folder', id: 'scripts', children: []},
+                     {name: 'mydoc.txt', kind: 'item', id: 'mydoc'}],
+      '/grid/scripts': [{name: 'foo.py', kind: 'item', id: 'foo'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      }
+    });
+    this.spy(grid, 'getFromServer');
+    grid.expandItem('docs');
+    server.respond();
+    grid.expandItem('scripts');
+    server.respond();
+    containsText('.slick-cell', 'foo.py', 'nested contents are loaded');
+    var scripts = grid.getNodeByID('scripts');
+    grid.expandItem('docs');
+    equal(grid.getFromServer.callCount, 2, 'loaded folders are not fetched again');
+    grid.reloadFolder('docs');
+    server.respond();
+    equal(grid.getFromServer.callCount, 3, 'reloading sends a request');
+    strictEqual(grid.getNodeByID('scripts'), scripts, 'nested folder is kept');
+    containsText('.slick-cell', 'foo.py', 'nested contents are still shown');
+    equal(grid.getData().length, 4, 'no duplicate rows were added');
+    server.restore();
+  });
+
+  test('a folder whose fetched data are rejected can be fetched again', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'foo.py', kind: 'item', id: 'foo', parentID: 'missing'}]
+    });
+    var fetchError = this.spy();
+    var grid = getMockGrid({
+      flat: true,
+      data: [{name: 'Docs', kind: 'folder', id: 'docs'}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      fetchError: fetchError
+    });
+    var rejected = this.spy();
+    grid.loadFolder('docs').fail(rejected);
+    this.stub(sinon, 'logError'); // Errors thrown from the response handler
+    server.respond();
+    isFalse(sinon.logError.called, 'nothing is thrown');
+    ok(rejected.calledOnce, 'the promise is rejected');
+    ok(rejected.args[0][0] instanceof HGrid.Error, 'with the error');
+    ok(fetchError.calledWith(rejected.args[0][0], grid.getByID('docs')), 'fetchError is called');
+    equal(grid.getNodeByID('docs')._load_status, HGrid.LOADING_UNFINISHED);
+    this.spy(grid, 'getFromServer');
+    grid.expandItem('docs');
+    ok(grid.getFromServer.calledOnce, 'the folder is fetched again');
+    server.restore();
+    grid.destroy();
+  });
+
+  test('a folder that cannot be fetched rejects its load promise', function() {
+    var server = sinon.fakeServer.create();
+    server.respondWith('GET', '/grid/docs', [500, {}, '']);
+    var fetchError = this.spy();
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      fetchError: fetchError
+    });
+    var rejected = this.spy();
+    grid.revealItem('Docs/foo.py').fail(rejected);
+    this.stub(sinon, 'logError');
+    server.respond();
+    isFalse(sinon.logError.called, 'nothing is thrown');
+    ok(rejected.calledOnce, 'the promise is rejected');
+    ok(fetchError.calledOnce, 'fetchError is called');
+    equal(grid.getNodeByID('docs')._load_status, HGrid.LOADING_UNFINISHED);
+    server.restore();
+    grid.destroy();
+  });
+
+  test('lazy-loaded flat rows are nested', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'foo.py', kind: 'item', id: 'foo', parentID: 'scripts'},
+                     {name: 'Scripts', kind: 'folder', id: 'scripts', parentID: 'docs'},
+                     {name: 'mydoc.txt', kind: 'item', id: 'mydoc', parentID: 'docs'}]
+    });
+    var grid = getMockGrid({
+      flat: true,
+      data: [{name: 'Docs', kind: 'folder', id: 'docs'}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      }
+    });
+    grid.expandItem('docs');
+    server.respond();
+    equal(grid.getByID('mydoc').parentID, 'docs');
+    equal(grid.getByID('foo').parentID, 'scripts');
+    server.restore();
+  });
+
+  test('nested data whose folders have a parentID are not flat lists', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'Scripts', kind: 'folder', id: 'scripts', parentID: 'docs', children: []},
+                     {name: 'mydoc.txt', kind: 'item', id: 'mydoc', parentID: 'docs'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', parentID: 'home', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      }
+    });
+    equal(grid.getByID('docs').parentID, HGrid.ROOT_ID, 'unknown parents are not looked up');
+    grid.expandItem('docs');
+    server.respond();
+    deepEqual(grid.getNodeByID('docs').children.map(function(node) { return node.id; }).sort(),
+      ['mydoc', 'scripts'], 'lazy-loaded folders are added as given');
+    isTrue(grid.getNodeByID('scripts') instanceof HGrid.Tree);
+    server.restore();
+    grid.destroy();
+  });
+
+  test('lazyCache unloads the least recently used collapsed folders', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'a.txt', kind: 'item', id: 'a'}, {name: 'b.txt', kind: 'item', id: 'b'}],
+      '/grid/music': [{name: 'c.mp3', kind: 'item', id: 'c'}, {name: 'd.mp3', kind: 'item', id: 'd'}],
+      '/grid/pics': [{name: 'e.png', kind: 'item', id: 'e'}]
+    });
+    var evicted = this.spy();
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []},
+             {name: 'Music', kind: 'folder', id: 'music', children: []},
+             {name: 'Pics', kind: 'folder', id: 'pics', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      lazyCache: {maxNodes: 7},
+      folderEvicted: evicted
+    });
+    this.spy(grid, 'getFromServer');
+    grid.expandItem('docs');
+    server.respond();
+    grid.expandItem('music');
+    server.respond();
+    grid.collapseItem('music');
+    grid.collapseItem('docs');
+    isFalse(evicted.called, 'folders are kept while the grid is within the limit');
+    grid.expandItem('music');
+    grid.collapseItem('music');
+    grid.expandItem('pics');
+    server.respond();
+    equal(grid.getByID('a'), undefined, 'the least recently used folder is unloaded');
+    equal(grid.getByID('c').parentID, 'music', 'until the grid is within the limit');
+    ok(evicted.calledOnce);
+    equal(evicted.args[0][0].id, 'docs');
+    equal(grid.getNodeByID('docs').children.length, 0, 'the folder itself is kept');
+    equal(grid.getNodeByID('docs')._load_status, HGrid.LOADING_UNFINISHED);
+    grid.expandItem('docs');
+    equal(grid.getFromServer.callCount, 4, 'unloaded folders are fetched again when expanded');
+    server.respond();
+    equal(grid.getByID('a').parentID, 'docs');
+    equal(grid.getData().length, 6, 'and shown');
+    server.restore();
+    grid.destroy();
+  });
+
+  test('lazyCache unloads folders that were collapsed for maxAge', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'Scripts', kind: 'folder', id: 'scripts', children: []},
+                     {name: 'mydoc.txt', kind: 'item', id: 'mydoc'}],
+      '/grid/scripts': [{name: 'foo.py', kind: 'item', id: 'foo'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      lazyCache: {maxAge: 1000}
+    });
+    var clock = sinon.useFakeTimers();
+    grid.expandItem('docs');
+    server.respond();
+    grid.expandItem('scripts');
+    grid.collapseItem('docs');
+    clock.tick(1000);
+    deepEqual(grid.evictFolders(), [], 'folders are kept while their contents are loading');
+    server.respond();
+    equal(grid.getByID('foo'), undefined, 'unloaded once loaded');
+    equal(grid.getByID('scripts'), undefined, 'along with nested folders');
+    grid.expandItem('docs');
+    server.respond();
+    grid.collapseItem('docs');
+    clock.tick(999);
+    deepEqual(grid.evictFolders(), []);
+    clock.tick(1);
+    var evicted = grid.evictFolders();
+    equal(evicted.length, 1);
+    equal(evicted[0].id, 'docs');
+    deepEqual(rowIDs(grid), ['docs']);
+    deepEqual(grid.evictFolders(), [], 'unloaded folders are forgotten');
+    clock.restore();
+    server.restore();
+    grid.destroy();
+  });
+
+  test('lazyCache keeps aggregates and emits no removal events', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'a.txt', kind: 'item', id: 'a', size: 4},
+                     {name: 'b.txt', kind: 'item', id: 'b', size: 6}]
+    });
+    var removed = this.spy();
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      aggregates: {total: {type: 'sum', field: 'size'}},
+      lazyCache: {maxAge: 0},
+      onNodeRemoved: removed
+    });
+    var treeRemoved = this.spy();
+    grid.tree.on('nodeRemoved', treeRemoved);
+    grid.expandItem('docs');
+    server.respond();
+    equal(grid.getByID('docs')._agg.total, 10);
+    grid.collapseItem('docs');
+    equal(grid.getByID('a'), undefined, 'the contents are unloaded');
+    equal(grid.getByID('docs')._agg.total, 10, 'the folder keeps its aggregates');
+    equal(grid.tree._agg.total, 10);
+    isFalse(removed.called, 'onNodeRemoved is not called');
+    isFalse(treeRemoved.called, 'nodeRemoved is not emitted');
+    grid.expandItem('docs');
+    server.respond();
+    equal(grid.getByID('docs')._agg.total, 10, 'reloaded contents are not counted twice');
+    equal(grid.tree._agg.total, 10);
+    server.restore();
+    grid.destroy();
+  });
+
+  test('lazyCache keeps folders that aliases or the undo history refer to', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'a.txt', kind: 'item', id: 'a'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []},
+             {kind: HGrid.ALIAS, id: 'link', target: 'a'}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      lazyCache: {maxAge: 0}
+    });
+    grid.expandItem('docs');
+    server.respond();
+    grid.collapseItem('docs');
+    equal(grid.resolveAlias('link').id, 'a', 'the target of an alias is kept');
+    grid.tree.remove('link');
+    grid.patchItem('a', {name: 'renamed.txt'});
+    equal(grid.evictFolders().length, 0, 'items in the undo history are kept');
+    grid.clearHistory();
+    equal(grid.evictFolders().length, 1);
+    equal(grid.getByID('a'), undefined);
+    server.restore();
+    grid.destroy();
+  });
+
+  test('lazyCache keeps folders with uploads in progress', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'mydoc.txt', kind: 'item', id: 'mydoc'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      },
+      lazyCache: {maxAge: 0}
+    });
+    grid.expandItem('docs');
+    server.respond();
+    grid.getNodeByID('mydoc')._uploading = true;
+    grid.collapseItem('docs');
+    ok(grid.getByID('mydoc'), 'the folder is kept');
+    grid.getNodeByID('mydoc')._uploading = false;
+    equal(grid.evictFolders().length, 1);
+    server.restore();
+    grid.destroy();
+  });
+
+  module('Field mapping', {});
+
+  var apiFields = {id: 'uuid', name: 'title', kind: 'type', children: 'contents',
+                   folder: 'dir', item: 'file'};
+
+  function getMappedGrid(args) {
+    var data = mapFields(getFileData(), apiFields);
+    data[0].contents[1].id = 'not-the-id';
+    return getFileGrid($.extend({fields: apiFields, data: data}, args));
+  }
+
+  test('data are read with the field mapping', function() {
+    var grid = getMappedGrid();
+    var docs = grid.getNodeByID('docs');
+    ok(docs instanceof HGrid.Tree, 'folder kind is mapped');
+    deepEqual(docs.children.map(function(node) { return node.id; }), ['scripts', 'mydoc'],
+      'ids and children are mapped');
+    var mydoc = grid.getByID('mydoc');
+    equal(mydoc.id, 'mydoc', 'id field is used even if the data have an "id"');
+    equal(mydoc.kind, HGrid.ITEM, 'items have a kind the grid understands');
+    equal(mydoc.type, 'file', 'original kind is kept');
+    equal(grid.getByID('docs').kind, HGrid.FOLDER);
+    equal(grid.options.fields.children, 'contents');
+    equal(HGrid.DEFAULT_FIELDS.children, 'children', 'defaults are not modified');
+    grid.destroy();
+  });
+
+  test('name column, search, and paths use the name field', function() {
+    var grid = getMappedGrid();
+    containsText('.slick-cell', 'mydoc.txt', 'name is rendered');
+    isTrue(grid.options.searchFilter.call(grid, grid.getByID('mydoc'), 'myd'));
+    isFalse(grid.options.searchFilter.call(grid, grid.getByID('foo'), 'myd'));
+    equal(grid.getPath('mydoc'), 'Docs/mydoc.txt');
+    triggerSlick(grid.grid.onSort, {sortCol: grid.grid.getColumns()[0], sortAsc: true});
+    deepEqual(grid.getData().map(function(item) { return item.title; }),
+      ['Docs', 'mydoc.txt', 'Scripts', 'foo.py', 'Empty', 'Music', 'bar.mp3'],
+      'sorts by the name field');
+    grid.destroy();
+  });
+
+  test('addData, reconcileFolder, and flat rows use the field mapping', function() {
+    var grid = getMappedGrid();
+    grid.addData([{uuid: 'radio', title: 'Radio', type: 'dir', contents: [
+      {uuid: 'song', title: 'song.mp3', type: 'file'}
+    ]}]);
+    equal(grid.getByID('song').parentID, 'radio');
+    var result = grid.reconcileFolder('docs', [
+      {uuid: 'scripts', title: 'Scripts', type: 'dir'},
+      {uuid: 'beta', title: 'beta.txt', type: 'file'}
+    ]);
+    deepEqual(result.added.map(function(node) { return node.id; }), ['beta']);
+    deepEqual(result.removed.map(function(node) { return node.id; }), ['mydoc']);
+    equal(result.changed.length, 0, 'children field is not compared');
+    grid.destroy();
+    grid = getMappedGrid({
+      flat: true,
+      fields: $.extend({parentID: 'parent'}, apiFields),
+      data: [{uuid: 'pics', title: 'Pics', type: 'dir'},
+             {uuid: 'cat', title: 'cat.png', type: 'file', parent: 'pics'}]
+    });
+    equal(grid.getByID('cat').parentID, 'pics', 'flat rows are nested by the parent field');
+    grid.addData([{uuid: 'dog', title: 'dog.png', type: 'file', parent: 'pics', parentID: 'cat'}], 'pics');
+    equal(grid.getByID('dog').parentID, 'pics', 'the default parent field is not used');
+    var root = HGrid.Tree.fromPaths(['a/b.txt'], {fields: apiFields});
+    equal(root.getNodeByID('/a').data.title, 'a', 'paths use the field mapping');
+    ok(root.getNodeByID('/a') instanceof HGrid.Tree);
+    grid.destroy();
+  });
+
+  test('upload placeholders use the field mapping', function() {
+    var grid = getMappedGrid();
+    grid.currentTarget = grid.getByID('docs');
+    var file = getMockFile();
+    var added = grid.dropzoneEvents.addedfile.call(grid, file);
+    equal(added.title, file.name);
+    equal(added.type, 'file');
+    equal(added.kind, HGrid.ITEM);
+    ok(grid.getNodeByID(added.id) instanceof HGrid.Leaf);
+    grid.destroy();
+  });
+
+  module('Item kinds', {
+    teardown: function() {
+      delete HGrid.Kinds.dataset;
+      delete HGrid.Kinds.symlink;
+    }
+  });
+
+  test('registered container kinds are folders', function() {
+    var kind = HGrid.registerKind('dataset', {container: true, icon: '<i class="hg-dataset"></i>',
+                                              cssClass: 'hg-dataset-name'});
+    strictEqual(HGrid.Kinds.dataset, kind);
+    isTrue(kind.uploads, 'options default to those of folders');
+    var grid = getMockGrid({data: [{name: 'Survey', kind: 'dataset', id: 'survey', children: [
+      {name: 'answers.csv', kind: 'item', id: 'answers'}
+    ]}]});
+    ok(grid.getNodeByID('survey') instanceof HGrid.Tree);
+    equal(grid.getByID('survey').kind, 'dataset');
+    strictEqual(grid.getKind('survey'), kind);
+    equal(grid.getByID('answers').parentID, 'survey');
+    equal($('.hg-dataset-name').length, 1, 'name has the kind\'s class');
+    ok($('.hg-dataset-name').parent().find('.hg-toggle').length, 'expander is shown');
+    equal($('.hg-dataset-name .hg-dataset').length, 1, 'icon is shown');
+    containsText('.hg-dataset-name', 'Survey');
+    isTrue(grid.canUpload(grid.getByID('survey')));
+    grid.destroy();
+  });
+
+  test('registered kinds that are not containers are items', function() {
+    HGrid.registerKind('symlink', {
+      view: function(item) { return '&rarr; ' + item.name; },
+      draggable: false
+    });
+    HGrid.registerKind('dataset', {container: true, uploads: false});
+    var grid = getMockGrid({
+      data: [
+        {name: 'Survey', kind: 'dataset', id: 'survey', children: []},
+        {name: 'latest', kind: 'symlink', id: 'latest'}
+      ],
+      columns: [HGrid.Col.Name, {text: 'Target', symlinkView: 'link', itemView: 'file',
+                                 folderView: 'folder'}]
+    });
+    ok(grid.getNodeByID('latest') instanceof HGrid.Leaf);
+    isFalse(grid.getKind('latest').container);
+    isFalse(grid.getKind('latest').draggable);
+    containsText('.hg-item-name', '\u2192 latest', 'view of the kind');
+    containsText('.slick-cell', 'link', 'view for the kind in a column schema');
+    containsText('.slick-cell', 'folder', 'containers without a view use the folder view');
+    isFalse(grid.canUpload(grid.getByID('survey')), 'uploads are disabled for the kind');
+    grid.destroy();
+  });
+
+  test('registerKind changes registered kinds', function() {
+    var folder = HGrid.Kinds.folder;
+    var changed = HGrid.registerKind('folder', {icon: '<i class="hg-box"></i>'});
+    isTrue(changed.container, 'other options are kept');
+    var grid = getMockGrid({data: [{name: 'Docs', kind: 'folder'}]});
+    equal($('.hg-box').length, 1);
+    grid.destroy();
+    HGrid.Kinds.folder = folder;
+    throws(function() {
+      HGrid.registerKind('');
+    }, HGrid.Error);
+  });
+
+  test('strict validation accepts registered kinds', function() {
+    HGrid.registerKind('dataset', {container: true});
+    var grid = getMockGrid({strict: true, data: [{name: 'Survey', kind: 'dataset', children: []}]});
+    equal(grid.getData().length, 1);
+    grid.destroy();
+  });
+
+  module('Aliases', {});
+
+  function getAliasGrid(args) {
+    return getFileGrid($.extend({
+      data: getFileData().concat({name: 'Shared', kind: 'folder', id: 'shared', children: [
+        {kind: HGrid.ALIAS, id: 'shortcut', target: 'mydoc'},
+        {kind: HGrid.ALIAS, id: 'renamed', target: 'mydoc', name: 'my notes.txt'},
+        {kind: HGrid.ALIAS, id: 'chained', target: 'shortcut'}
+      ]})
+    }, args));
+  }
+
+  test('aliases show their target', function() {
+    var grid = getAliasGrid();
+    var shortcut = grid.getByID('shortcut');
+    equal(shortcut.id, 'shortcut', 'alias has its own id');
+    equal(shortcut.parentID, 'shared', 'alias has its own parent');
+    equal(shortcut.kind, HGrid.ALIAS);
+    equal(shortcut.name, 'mydoc.txt', 'fields of the target are shown');
+    equal(shortcut.size, 3);
+    equal(grid.getByID('renamed').name, 'my notes.txt', 'fields of the alias take precedence');
+    equal(grid.getByID('chained').name, 'mydoc.txt', 'aliases of aliases are followed');
+    equal($('.hg-alias-name').length, 3);
+    equal($('.hg-alias-name .hg-alias-badge').length, 3, 'badge is shown');
+    containsText('.hg-alias-name', 'my notes.txt');
+    strictEqual(grid.resolveAlias('chained'), grid.getByID('mydoc'));
+    strictEqual(grid.resolveAlias(grid.getByID('mydoc')), grid.getByID('mydoc'),
+      'items resolve to themselves');
+    deepEqual(grid.getPathToRoot('shortcut'), ['mydoc', 'docs'], 'path of the target');
+    grid.destroy();
+  });
+
+  test('aliases are updated when their target changes', function() {
+    var grid = getAliasGrid();
+    grid.patchItem('mydoc', {name: 'final.txt'});
+    equal(grid.getByID('shortcut').name, 'final.txt');
+    equal(grid.getByID('chained').name, 'final.txt');
+    containsText('.hg-alias-name', 'final.txt', 'alias is redrawn');
+    var shortcut = grid.getByID('shortcut');
+    shortcut.size = 20;
+    grid.updateItem(shortcut);
+    deepEqual(grid.getNodeByID('shortcut').data,
+      {kind: HGrid.ALIAS, id: 'shortcut', target: 'mydoc', size: 20},
+      'updating an alias does not copy the target fields');
+    grid.destroy();
+  });
+
+  test('aliases are broken when their target is removed', function() {
+    var grid = getAliasGrid();
+    grid.removeItem('mydoc');
+    isTrue(grid.getByID('shortcut')._broken);
+    isTrue(grid.getByID('chained')._broken, 'aliases of aliases are broken');
+    equal(grid.resolveAlias('shortcut'), null);
+    equal($('.hg-alias-broken').length, 3, 'broken badge is shown');
+    grid.undo();
+    isFalse(grid.getByID('shortcut')._broken, 'restoring the target fixes the alias');
+    equal(grid.getByID('shortcut').name, 'mydoc.txt');
+    grid.removeItem('docs');
+    isTrue(grid.getByID('shortcut')._broken, 'removing an ancestor of the target');
+    grid.removeItem('shortcut');
+    deepEqual(grid._aliases.mydoc.map(function(node) { return node.id; }), ['renamed'],
+      'removed aliases are forgotten');
+    grid.destroy();
+  });
+
+  test('downloading an alias downloads its target', function() {
+    var downloadUrl = this.stub().returns(null);
+    var grid = getAliasGrid({downloadUrl: downloadUrl});
+    grid.downloadItem(grid.getByID('chained'));
+    strictEqual(downloadUrl.args[0][0], grid.getByID('mydoc'));
+    grid.addItem({kind: HGrid.ALIAS, id: 'loop', target: 'loop'});
+    isTrue(grid.getByID('loop')._broken, 'alias cycles are broken');
+    grid.downloadItem(grid.getByID('loop'));
+    equal(downloadUrl.callCount, 1, 'broken aliases are not downloaded');
+    grid.destroy();
+  });
+
+  module('Strict validation', {});
+
+  function getStrictGrid(args) {
+    return getFileGrid($.extend({strict: true}, args));
+  }
+
+  test('input data are validated', function() {
+    throws(function() {
+      getStrictGrid({data: [{name: 'Docs', kind: 'folder', children: [{name: 'foo.py'}]}]});
+    }, /Unknown kind "undefined" at "Docs\/foo.py"/);
+    throws(function() {
+      getStrictGrid({data: [{name: 'Docs', kind: 'folder', id: 1, children: [
+        {name: 'foo.py', kind: 'item', id: 1}
+      ]}]});
+    }, /Duplicate id "1" at "Docs\/foo.py"/);
+    throws(function() {
+      getStrictGrid({data: [{name: 'Docs', kind: 'folder', id: HGrid.ROOT_ID}]});
+    }, /Duplicate id "root" at "Docs"/, 'root id is reserved');
+    var grid = getMockGrid({data: [{name: 'foo.py'}]});
+    ok(grid.getData()[0], 'data are not validated by default');
+    grid.destroy();
+  });
+
+  test('addData and addItem are validated', function() {
+    var grid = getStrictGrid();
+    throws(function() {
+      grid.addData([{name: 'b.txt', kind: 'item', id: 'mydoc'}], 'empty');
+    }, /Duplicate id "mydoc" at "Empty\/b.txt", already used by "Docs\/mydoc.txt"/);
+    throws(function() {
+      grid.addData([{name: 'b.txt', kind: 'item'}], 'missing');
+    }, /Parent "missing" does not exist/);
+    throws(function() {
+      grid.addItem({name: 'b.txt', kind: 'item', parentID: 'mydoc'});
+    }, /Parent "Docs\/mydoc.txt" is not a folder/);
+    throws(function() {
+      grid.addItem({name: 'b.txt', kind: 'file', parentID: 'empty'});
+    }, /Unknown kind "file" at "Empty\/b.txt"/);
+    grid.addData([{name: 'Docs', kind: 'folder', id: 'docs', children: [
+      {name: 'b.txt', kind: 'item', id: 'b'}
+    ]}]);
+    equal(grid.getByID('b').parentID, 'docs', 'merged data may reuse ids');
+    equal(grid.getData().length, 8, 'nothing was added by invalid data');
+    grid.destroy();
+  });
+
+  test('a rejected addItems call changes nothing', function() {
+    var grid = getStrictGrid();
+    throws(function() {
+      grid.addItems([
+        {name: 'b.txt', kind: 'item', parentID: 'empty'},
+        {name: 'c.txt', kind: 'weird', parentID: 'empty'}
+      ]);
+    }, /Unknown kind "weird" at "Empty\/c.txt"/);
+    equal(grid.tree.getNodeByID('empty').children.length, 0, 'no item was added');
+    isFalse(grid.canUndo(), 'nothing was recorded');
+    grid.addItem({name: 'd.txt', kind: 'item', parentID: 'empty'});
+    equal(grid.getDataView().getLength(), 8, 'the DataView is updated');
+    containsText('.slick-cell', 'd.txt', 'the grid still renders');
+    grid.addItems([
+      {name: 'New', kind: 'folder', id: 'new', parentID: 'docs'},
+      {name: 'e.txt', kind: 'item', parentID: 'new'}
+    ]);
+    equal(grid.getByID('new').parentID, 'docs', 'items may be added to earlier items');
+    grid.destroy();
+  });
+
+  test('generated ids skip the numeric ids of existing items', function() {
+    var id = HGrid.Tree._getCurrentID() + 2;
+    var grid = getStrictGrid({data: [{name: 'a.txt', kind: 'item', id: id}]});
+    var ids = [];
+    for (var i = 0; i < 4; i++) {
+      ids.push(grid.addItem({name: 'n' + i, kind: 'item'}).id);
+    }
+    equal(ids.indexOf(id), -1);
+    equal(grid.getNodeByID(id).data.name, 'a.txt', 'the existing item is kept');
+    equal(grid.tree.children.length, 5);
+    grid.destroy();
+  });
+
+  test('ids that collide with generated ids are detected', function() {
+    var grid = getStrictGrid();
+    var generated = grid.addItem({name: 'c.txt', kind: 'item', parentID: 'empty'});
+    throws(function() {
+      grid.addItem({name: 'd.txt', kind: 'item', id: generated.id, parentID: 'docs'});
+    }, /Id \d+ at "Docs\/d.txt" collides with a generated id/, 'existing generated id');
+    throws(function() {
+      grid.addData([
+        {name: 'e.txt', kind: 'item'},
+        {name: 'f.txt', kind: 'item', id: HGrid.Tree._getCurrentID()}
+      ], 'empty');
+    }, /at "Empty\/f.txt" collides with a generated id/, 'id that is about to be generated');
+    grid.destroy();
+  });
+
+  test('lazy-loaded data are validated', function() {
+    var grid = getStrictGrid();
+    var result = grid.reconcileFolder('docs', getFileData()[0].children);
+    equal(result.added.length + result.removed.length, 0, 'existing children may be reconciled');
+    throws(function() {
+      grid.reconcileFolder('empty', [{name: 'mydoc.txt', kind: 'item', id: 'mydoc'}]);
+    }, /Duplicate id "mydoc" at "Empty\/mydoc.txt"/);
+    grid.addItem({name: 'z.txt', kind: 'item', parentID: 'empty'});
+    containsText('.slick-cell', 'z.txt', 'the grid still renders');
+    grid.destroy();
+  });
+
+  module('Serialization', {});
+
+  test('toJSON returns the nested data fromObject accepts', function() {
+    var data = [
+      {name: 'Docs', kind: 'folder', id: 'docs', children: [
+        {name: 'a.txt', kind: 'item', id: 'a', size: 3},
+        {name: 'Empty', kind: 'folder', children: []}
+      ]},
+      {name: 'b.txt', kind: 'item'}
+    ];
+    var root = HGrid.Tree.fromObject(data);
+    deepEqual(root.toJSON(), data, 'generated ids are left out');
+    deepEqual(root.getNodeByID('a').toJSON(), data[0].children[0], 'leaves');
+    deepEqual(JSON.parse(JSON.stringify(root)), data, 'works with JSON.stringify');
+    deepEqual(HGrid.Tree.fromObject(root.toJSON()).toJSON(), data, 'round trip');
+  });
+
+  test('toJSON options', function() {
+    var root = HGrid.Tree.fromObject([
+      {title: 'Docs', type: 'dir', contents: [{title: 'a.txt', type: 'file', _extra: true}]}
+    ], null, {fields: {name: 'title', kind: 'type', folder: 'dir', item: 'file',
+      children: 'contents'}});
+    var folder = root.children[0];
+    folder.collapse();
+    folder._load_status = HGrid.LOADING_STARTED;
+    deepEqual(root.toJSON({fields: {kind: 'type', folder: 'dir', item: 'file', children: 'contents'}}),
+      [{title: 'Docs', type: 'dir', contents: [{title: 'a.txt', type: 'file'}]}],
+      'private fields are left out');
+    var json = root.toJSON({viewState: true, loadStatus: true})[0];
+    equal(json.kind, 'folder', 'kinds the data do not give are added');
+    isTrue(json._collapsed);
+    isFalse(json._hidden);
+    isTrue(json.children[0]._hidden);
+    equal(json._load_status, HGrid.LOADING_UNFINISHED, 'loads in progress are not finished');
+    var copy = HGrid.Tree.fromObject([json]).children[0];
+    isTrue(copy._collapsed, 'view state is restored');
+    equal(copy._load_status, HGrid.LOADING_UNFINISHED, 'load status is restored');
+  });
+
+  test('exportData and importData round-trip the contents', function() {
+    var grid = getMockGrid({
+      fields: {name: 'title'},
+      data: [{title: 'Docs', kind: 'folder', id: 'docs', children: [
+        {title: 'a.txt', kind: 'item', id: 'a'}
+      ]}]
+    });
+    var exported = grid.exportData({viewState: true});
+    grid.collapseItem(grid.getByID('docs'));
+    grid.addItem({title: 'b.txt', kind: 'item'});
+    grid.importData(JSON.parse(JSON.stringify(exported)));
+    deepEqual(grid.exportData({viewState: true}), exported);
+    equal(grid.getData().length, 2, 'contents are replaced');
+    isFalse(grid.getByID('docs')._collapsed, 'view state is restored');
+    isFalse(grid.canUndo(), 'history is cleared');
+    containsText('.hg-item-name', 'a.txt');
+    grid.importData({paths: ['/x/y.txt']});
+    equal(grid.getByID('/x/y.txt').title, 'y.txt', 'any input form is accepted');
+    ok(!grid.getByID('docs'), 'old items are removed');
+    grid.destroy();
+  });
+
+  test('importData is validated before anything is replaced', function() {
+    var grid = getStrictGrid();
+    var exported = grid.exportData();
+    grid.importData(exported);
+    equal(grid.getData().length, 7, 'ids of the replaced items may be reused');
+    throws(function() {
+      grid.importData([{name: 'x', kind: 'file'}]);
+    }, /Unknown kind "file" at "x"/);
+    equal(grid.getData().length, 7, 'nothing was replaced');
+    grid.destroy();
+  });
+
+  module('Tree model', {
+    teardown: function() {
+      HGrid.Tree.resetIDCounter();
+    }
+  });
+
+  test('unsort restores the order from before sorting', function() {
+    var root = HGridTree.Tree.fromObject([
+      {name: 'b', kind: 'folder', children: [{name: 'y', kind: 'item'}, {name: 'x', kind: 'item'}]},
+      {name: 'c', kind: 'item'},
+      {name: 'a', kind: 'item'}
+    ]);
+    var names = function(tree) {
+      return tree.children.map(function(node) { return node.data.name; });
+    };
+    root.sort('name', true);
+    root.sort('name', false);
+    root.add(new HGridTree.Leaf({name: 'd', kind: 'item'}));
+    deepEqual(names(root), ['d', 'c', 'b', 'a']);
+    root.unsort();
+    deepEqual(names(root), ['b', 'c', 'a', 'd'], 'nodes added while sorted come last');
+    deepEqual(names(root.children[0]), ['y', 'x'], 'descendants are unsorted');
+    equal(root.sortComparator, null);
+    root.add(new HGridTree.Leaf({name: 'e', kind: 'item'}));
+    equal(names(root)[4], 'e', 'nodes are appended again');
+  });
+
+  test('unload drops the contents without removal events', function() {
+    var root = HGridTree.Tree.fromObject([
+      {name: 'Docs', kind: 'folder', children: [
+        {name: 'a', kind: 'item', size: 3},
+        {name: 'Sub', kind: 'folder', children: [{name: 'b', kind: 'item', size: 4}]}
+      ]}
+    ]);
+    root.aggregate({total: {type: 'sum', field: 'size'}});
+    var docs = root.children[0];
+    var b = docs.children[1].children[0];
+    var removed = this.spy();
+    root.on('nodeRemoved', removed);
+    equal(docs.unload().length, 2, 'the unloaded children are returned');
+    equal(docs.children.length, 0);
+    equal(root.getNodeByID(b.id), undefined, 'descendants are unindexed');
+    isFalse(removed.called, 'no nodeRemoved events');
+    isTrue(docs._unloaded);
+    equal(docs._agg.total, 7, 'aggregates are kept');
+    equal(root._agg.total, 7);
+    docs.add(new HGridTree.Leaf({name: 'c', kind: 'item', size: 1}));
+    isFalse(docs._unloaded);
+    equal(docs._agg.total, 1, 'aggregates are recomputed once contents are added');
+    equal(root._agg.total, 1);
+    docs.unload();
+    docs.reconcile([]);
+    equal(root._agg.total, 0, 'even if there are none');
+  });
+
+  test('the tree model works without a DataView', function() {
+    var root = HGridTree.Tree.fromObject([
+      {name: 'Docs', kind: 'folder', children: [{name: 'b.txt', kind: 'item'}]},
+      {name: 'a.txt', kind: 'item'}
+    ]);
+    var docs = root.children[0];
+    var file = root.children[1];
+    equal(root.view, null, 'root has no view');
+    isFalse(root instanceof HGrid.Tree);
+    ok(file instanceof HGridTree.Leaf, 'children have the types of the model');
+    docs.collapse();
+    isTrue(docs.children[0].isHidden());
+    file.moveTo(docs);
+    isTrue(file.isHidden(), 'moved node takes the state of its new parent');
+    docs.sort('name', true);
+    deepEqual(docs.children.map(function(node) { return node.data.name; }), ['a.txt', 'b.txt']);
+    var result = docs.reconcile([{name: 'a.txt', kind: 'item', size: 1}]);
+    equal(result.changed.length + result.removed.length, 2);
+    deepEqual(root.toJSON(), [{name: 'Docs', kind: 'folder', children: [
+      {name: 'a.txt', kind: 'item', size: 1}
+    ]}]);
+    throws(function() {
+      file.moveTo(file);
+    }, HGridTree.Error);
+  });
+
+  test('HGrid trees are bound to a DataView', function() {
+    var root = HGrid.Tree.fromObject([
+      {name: 'Docs', kind: 'folder', children: [{name: 'b.txt', kind: 'item'}]}
+    ]);
+    var leaf = root.children[0].children[0];
+    ok(root instanceof HGridTree.Tree, 'HGrid trees are trees of the model');
+    ok(leaf instanceof HGrid.Leaf && leaf instanceof HGridTree.Leaf);
+    ok(root.dataView, 'root has a DataView');
+    strictEqual(root.view, root.dataView, 'the DataView is the view');
+    root.updateDataView();
+    strictEqual(leaf.dataView, root.dataView);
+    equal(root.dataView.getItems().length, 2);
+    strictEqual(HGrid.Error, HGridTree.Error);
+    strictEqual(HGrid.Comparators, HGridTree.Comparators);
+  });
+
+  module('Aggregates', {
+    teardown: function() {
+      HGrid.Tree.resetIDCounter();
+    }
+  });
+
+  function getAggregateGrid(args) {
+    return getFileGrid($.extend({
+      aggregates: {
+        totalSize: {type: 'sum', field: 'size'},
+        fileCount: 'count',
+        lastModified: {type: 'max', field: 'modified'}
+      }
+    }, args));
+  }
+
+  test('aggregates are computed over each folder\'s items', function() {
+    var grid = getAggregateGrid();
+    deepEqual(grid.getByID('docs')._agg, {totalSize: 8, fileCount: 2, lastModified: '2014-03-01'});
+    deepEqual(grid.getByID('scripts')._agg, {totalSize: 5, fileCount: 1, lastModified: '2014-03-01'});
+    deepEqual(grid.getByID('empty')._agg, {totalSize: 0, fileCount: 0, lastModified: undefined},
+      'empty folders have the initial values');
+    equal(grid.tree._agg.totalSize, 8, 'the root has totals');
+    equal(grid.getByID('mydoc')._agg, undefined, 'items have no aggregates');
+    grid.destroy();
+  });
+
+  test('aggregates are updated when items are added, removed, moved, and changed', function() {
+    var grid = getAggregateGrid();
+    grid.addItem({name: 'c.py', kind: 'item', id: 'c', size: 10, parentID: 'scripts'});
+    equal(grid.getByID('scripts')._agg.totalSize, 15);
+    equal(grid.getByID('docs')._agg.fileCount, 3, 'ancestors are updated');
+    grid.addItem({name: 'Sub', kind: 'folder', id: 'sub', parentID: 'empty'});
+    deepEqual(grid.getByID('sub')._agg, {totalSize: 0, fileCount: 0, lastModified: undefined},
+      'added folders have aggregates');
+    grid.moveItem('scripts', 'empty');
+    equal(grid.getByID('docs')._agg.totalSize, 3, 'old parent is updated');
+    equal(grid.getByID('empty')._agg.totalSize, 15, 'new parent is updated');
+    grid.removeItem('foo');
+    deepEqual(grid.getByID('empty')._agg, {totalSize: 10, fileCount: 1, lastModified: undefined});
+    grid.updateItem($.extend(grid.getByID('c'), {size: 1}));
+    equal(grid.getByID('scripts')._agg.totalSize, 1, 'changed items are updated');
+    equal(grid.tree._agg.totalSize, 4);
+    grid.destroy();
+  });
+
+  test('aggregates are updated when folders are lazy-loaded', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'Sub', kind: 'folder', id: 'sub', children: [
+        {name: 'x.txt', kind: 'item', size: 2}
+      ]}, {name: 'y.txt', kind: 'item', size: 4}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', id: 'docs', children: []}],
+      aggregates: {totalSize: {type: 'sum', field: 'size'}},
+      columns: [HGrid.Col.Name, {name: 'Size', folderView: '{{_agg.totalSize}} bytes', itemView: '{{size}}'}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      }
+    });
+    containsText('.slick-cell', '0 bytes', 'folder views show aggregates');
+    grid.expandItem('docs');
+    server.respond();
+    equal(grid.getByID('sub')._agg.totalSize, 2);
+    equal(grid.getByID('docs')._agg.totalSize, 6);
+    containsText('.slick-cell', '6 bytes', 'the folder row is updated');
+    server.restore();
+    grid.destroy();
+  });
+
+  test('custom aggregates', function() {
+    var root = HGridTree.Tree.fromObject([
+      {name: 'Docs', kind: 'folder', children: [
+        {name: 'a.txt', kind: 'item', tags: ['x']},
+        {name: 'Sub', kind: 'folder', children: [{name: 'b.txt', kind: 'item', tags: ['y', 'x']}]}
+      ]}
+    ]);
+    var names = sinon.spy(function(acc, data) {
+      return acc.concat(data.name);
+    });
+    root.aggregate({
+      tags: {
+        field: 'tags', initial: [],
+        reduce: function(acc, tags) {
+          return acc.concat(tags.filter(function(tag) { return acc.indexOf(tag) === -1; }));
+        },
+        combine: function(acc, other) {
+          return acc.concat(other.filter(function(tag) { return acc.indexOf(tag) === -1; }));
+        }
+      },
+      names: {initial: [], reduce: names}
+    });
+    var docs = root.children[0];
+    deepEqual(docs._agg, {tags: ['x', 'y'], names: ['a.txt', 'b.txt']});
+    ok(names.calledWith([], docs.children[0].data, docs.children[0]), 'reduce receives the node');
+    docs.children[1].add(new HGridTree.Leaf({name: 'c.txt', kind: 'item', tags: ['z']}));
+    deepEqual(docs._agg, {tags: ['x', 'y', 'z'], names: ['a.txt', 'b.txt', 'c.txt']});
+    root.aggregate(null);
+    docs.remove(docs.children[0]);
+    equal(docs._agg.names.length, 3, 'aggregates are no longer updated');
+    throws(function() {
+      root.aggregate({size: {type: 'avg'}});
+    }, /Unknown aggregate type "avg"/);
+    throws(function() {
+      root.aggregate({size: {field: 'size'}});
+    }, /needs a type or a reduce function/);
+  });
+
+  test('templates can show nested fields', function() {
+    var grid = getMockGrid({
+      data: [{name: 'Docs', kind: 'folder', info: {owner: 'ann', count: 0}, children: []}],
+      columns: [{name: 'Info', folderView: '{{info.owner}}-{{info.count}}-{{info.none}}-{{nope.x}}|'}]
+    });
+    containsText('.slick-cell', 'ann-0--|', 'missing fields are blank');
+    grid.destroy();
+  });
+
+  module('Visible rows', {
+    teardown: function() {
+      HGrid.Tree.resetIDCounter();
+    }
+  });
+
+  test('only the rows of nodes that are not hidden are in the DataView', function() {
+    var grid = getFileGrid();
+    grid.collapseItem('scripts');
+    deepEqual(rowIDs(grid), ['docs', 'scripts', 'mydoc', 'music', 'bar', 'empty']);
+    grid.collapseItem('docs');
+    deepEqual(rowIDs(grid), ['docs', 'music', 'bar', 'empty'], 'collapsing splices the contents out');
+    deepEqual(grid.getData().map(function(item) { return item.id; }),
+      ['docs', 'scripts', 'foo', 'mydoc', 'music', 'bar', 'empty'], 'getData returns every item');
+    var hidden = grid.getByID('mydoc');
+    isTrue(hidden._hidden, 'hidden items are still found');
+    strictEqual(grid.getNodeByID('mydoc').getItem(), hidden);
+    grid.expandItem('docs');
+    deepEqual(rowIDs(grid), ['docs', 'scripts', 'mydoc', 'music', 'bar', 'empty'],
+      'expanding splices the contents in, keeping nested folders collapsed');
+    strictEqual(grid.getByID('mydoc'), hidden, 'items are kept');
+    isFalse(hidden._hidden);
+    grid.expandItem('scripts');
+    deepEqual(rowIDs(grid), ['docs', 'scripts', 'foo', 'mydoc', 'music', 'bar', 'empty']);
+    grid.destroy();
+  });
+
+  test('the DataView is only built and spliced for shown rows', function() {
+    var grid = getFileGrid({
+      data: [{name: 'Big', kind: 'folder', id: 'big', _collapsed: true, children: [
+        {name: 'a.txt', kind: 'item', id: 'a'}, {name: 'b.txt', kind: 'item', id: 'b'},
+        {name: 'Sub', kind: 'folder', id: 'sub', children: [{name: 'c.txt', kind: 'item', id: 'c'}]}
+      ]}]
+    });
+    var node = grid.getNodeByID('big');
+    equal(grid.getVisibleData().length, 1, 'the contents of collapsed folders have no rows');
+    equal(node.children[0]._item, null, 'items of hidden nodes are created when needed');
+    var dataView = grid.getDataView();
+    this.spy(dataView, 'setItems');
+    this.spy(dataView, 'insertItem');
+    grid.expandItem('big');
+    isTrue(dataView.setItems.calledOnce, 'the rows are spliced in at once');
+    isFalse(dataView.insertItem.called);
+    deepEqual(rowIDs(grid), ['big', 'a', 'b', 'sub', 'c']);
+    grid.collapseItem('big');
+    isTrue(dataView.setItems.calledTwice, 'and spliced out at once');
+    deepEqual(rowIDs(grid), ['big']);
+    grid.destroy();
+  });
+
+  test('changes to hidden nodes are shown when they are expanded', function() {
+    var grid = getFileGrid();
+    grid.collapseItem('docs');
+    var added = grid.addItem({name: 'new.txt', kind: 'item', id: 'new', parentID: 'scripts'});
+    isTrue(added._hidden, 'items added to a hidden folder are hidden');
+    deepEqual(rowIDs(grid), ['docs', 'music', 'bar', 'empty'], 'and have no row');
+    grid.patchItem('mydoc', {name: 'renamed.txt'});
+    equal(grid.getByID('mydoc').name, 'renamed.txt', 'hidden items are updated');
+    grid.moveItem('bar', 'docs');
+    deepEqual(rowIDs(grid), ['docs', 'music', 'empty'], 'items moved into a collapsed folder lose their row');
+    grid.expandItem('docs');
+    deepEqual(rowIDs(grid), ['docs', 'scripts', 'foo', 'new', 'mydoc', 'bar', 'music', 'empty']);
+    containsText('.slick-cell', 'renamed.txt');
+    grid.removeItem('scripts');
+    deepEqual(rowIDs(grid), ['docs', 'mydoc', 'bar', 'music', 'empty'], 'removing a folder removes its rows');
+    grid.destroy();
+  });
+
+  test('searching includes hidden items', function() {
+    $('<input id="search-rows">').appendTo('#qunit-fixture');
+    var grid = getFileGrid({searchInput: '#search-rows'});
+    grid.collapseItem('docs');
+    $('#search-rows').val('foo').trigger('keyup');
+    equal(grid.getVisibleData().length, 7, 'all nodes have rows while searching');
+    equal(grid.getDataView().getLength(), 1, 'matches are shown');
+    equal(grid.getDataView().getItem(0).id, 'foo');
+    $('#search-rows').val('').trigger('keyup');
+    deepEqual(rowIDs(grid), ['docs', 'music', 'bar', 'empty'], 'rows of hidden nodes are removed again');
+    grid.destroy();
+  });
+
+  module('Paths', {});
+
+  test('getPath', function() {
+    var grid = getFileGrid();
+    var foo = grid.getData()[2];
+    equal(grid.getPath(foo), 'Docs/Scripts/foo.py');
+    equal(grid.getPath(HGrid.ROOT_ID), '', 'root has an empty path');
+    grid.destroy();
+    grid = getFileGrid({pathSeparator: ' > ', pathField: 'id'});
+    equal(grid.getPath(grid.getData()[2].id), 'docs > scripts > foo',
+      'separator and field are configurable');
+    grid.destroy();
+  });
+
+  test('getByPath with loaded data', function() {
+    var grid = getFileGrid();
+    var foo = grid.getData()[2];
+    var resolved = this.spy(), rejected = this.spy();
+    grid.getByPath('Docs/Scripts/foo.py').done(resolved);
+    ok(resolved.calledWith(foo), 'resolves with the item');
+    grid.getByPath('/Docs/Scripts/').done(resolved);
+    equal(resolved.args[1][0], grid.getData()[1], 'leading and trailing separators are ignored');
+    grid.getByPath('Docs/nothing.txt').fail(rejected);
+    ok(rejected.calledOnce, 'rejected for a missing item');
+    ok(rejected.args[0][0] instanceof HGrid.Error, 'rejected with an HGrid.Error');
+    grid.destroy();
+  });
+
+  test('getByPath fetches missing folders when lazy', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'reports', kind: 'folder', id: 'reports', children: []}],
+      '/grid/reports': [{name: 'q3.pdf', kind: 'item', id: 'q3'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Documents', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      }
+    });
+    var resolved = this.spy();
+    grid.getByPath('Documents/reports/q3.pdf').done(resolved);
+    server.respond();
+    isFalse(resolved.called, 'waits for each folder');
+    server.respond();
+    ok(resolved.calledOnce, 'resolved once folders are loaded');
+    equal(resolved.args[0][0].id, 'q3');
+    isTrue(grid.isCollapsed(grid.getByID('docs')), 'folders are not expanded');
+    var rejected = this.spy();
+    grid.getByPath('Documents/reports/q4.pdf').fail(rejected);
+    ok(rejected.calledOnce, 'loaded folders are not fetched again');
+    equal(server.requests.length, 2);
+    server.restore();
+    grid.destroy();
+  });
+
+  test('revealItem expands folders, scrolls, and highlights', function() {
+    var grid = getFileGrid();
+    var docs = grid.getData()[0], scripts = grid.getData()[1], foo = grid.getData()[2];
+    grid.collapseItem(scripts);
+    grid.collapseItem(docs);
+    this.spy(grid.grid, 'scrollRowIntoView');
+    this.spy(grid, 'addHighlight');
+    var resolved = this.spy();
+    grid.revealItem(foo.id).done(resolved);
+    ok(resolved.calledWith(foo), 'resolved with the item');
+    isFalse(grid.isCollapsed(docs), 'top folder is expanded');
+    isFalse(grid.isCollapsed(scripts), 'nested folder is expanded');
+    ok(grid.grid.scrollRowIntoView.calledWith(grid.getDataView().getRowById(foo.id)), 'row is scrolled into view');
+    ok(grid.addHighlight.calledWith(foo), 'item is highlighted');
+    ok(grid.getRowElement(foo.id), 'row is rendered');
+    grid.collapseItem(docs);
+    grid.revealItem('Docs/Scripts').done(resolved);
+    equal(resolved.args[1][0], scripts, 'accepts paths');
+    var rejected = this.spy();
+    grid.revealItem('Docs/nope').fail(rejected);
+    ok(rejected.args[0][0] instanceof HGrid.Error, 'rejected for missing items');
+    grid.destroy();
+  });
+
+  test('revealItem lazy-loads folders', function() {
+    var server = createServer({
+      '/grid/docs': [{name: 'reports', kind: 'folder', id: 'reports', children: []}],
+      '/grid/reports': [{name: 'q3.pdf', kind: 'item', id: 'q3'}]
+    });
+    var grid = getMockGrid({
+      data: [{name: 'Documents', kind: 'folder', id: 'docs', children: []}],
+      fetchUrl: function(folder) {
+        return '/grid/' + folder.id;
+      }
+    });
+    var resolved = this.spy();
+    grid.revealItem('Documents/reports/q3.pdf').done(resolved);
+    server.respond();
+    server.respond();
+    ok(resolved.calledOnce, 'resolved once folders are loaded');
+    isFalse(grid.isCollapsed(grid.getByID('docs')));
+    isFalse(grid.isCollapsed(grid.getByID('reports')));
+    containsText('.slick-cell', 'q3.pdf', 'row is rendered');
+    equal(server.requests.length, 2, 'folders are fetched once');
+    server.restore();
+    grid.destroy();
+  });
+
+  module('Undo and redo', {
+    setup: function() {
+      myGrid = getMockGrid({
+        data: [{name: 'Documents', kind: HGrid.FOLDER, id: 'docs', children: [
+          {name: 'Scripts', kind: HGrid.FOLDER, id: 'scripts', children: [
+            {name: 'foo.py', kind: HGrid.ITEM, id: 'foo'}
+          ]},
+          {name: 'mydoc.txt', kind: HGrid.ITEM, id: 'mydoc'}
+        ]}, {
+          name: 'Music', kind: HGrid.FOLDER, id: 'music', children: []
+        }]
+      });
+    },
+    teardown: function() {
+      myGrid.destroy();
+    }
+  });
+
+  function ids() {
+    return myGrid.getData().map(function(item) { return item.id; });
+  }
+
+  test('undoing and redoing addItem', function() {
+    var before = ids();
+    isFalse(myGrid.canUndo());
+    var added = myGrid.addItem({name: 'new.txt', kind: HGrid.ITEM, parentID: 'music'});
+    isTrue(myGrid.canUndo());
+    var operation = myGrid.undo();
+    equal(operation.type, 'add');
+    equal(operation.id, added.id);
+    deepEqual(ids(), before, 'item is removed');
+    equal(myGrid.getNodeByID(added.id), undefined, 'node is removed');
+    isTrue(myGrid.canRedo());
+    myGrid.redo();
+    ok(myGrid.getByID(added.id), 'item is added again with the same id');
+    equal(myGrid.getByID(added.id).parentID, 'music');
+    isFalse(myGrid.canRedo());
+  });
+
+  test('undoing and redoing removeItem', function() {
+    var before = ids();
+    myGrid.collapseItem('scripts');
+    myGrid.removeItem('docs');
+    equal(myGrid.getData().length, 1);
+    myGrid.undo();
+    deepEqual(ids(), before, 'subtree is restored in place');
+    equal(myGrid.getNodeByID('foo').parentID, 'scripts', 'nested items are restored');
+    isTrue(myGrid.isCollapsed(myGrid.getByID('scripts')), 'collapsed state is restored');
+    isTrue(myGrid.getByID('foo')._hidden, 'hidden state is restored');
+    myGrid.redo();
+    equal(myGrid.getByID('docs'), undefined, 'item is removed again');
+    myGrid.undo();
+    deepEqual(ids(), before, 'subtree is restored again');
+  });
+
+  test('undoing and redoing moveItem', function() {
+    var before = ids();
+    var movedSpy = this.spy();
+    myGrid.options.onItemMoved = movedSpy;
+    myGrid.moveItem('scripts', 'music');
+    var after = ids();
+    var operation = myGrid.undo();
+    deepEqual([operation.from, operation.fromIndex, operation.to, operation.toIndex],
+      ['docs', 0, 'music', 0]);
+    deepEqual(ids(), before, 'item is moved back to its position');
+    myGrid.redo();
+    deepEqual(ids(), after, 'item is moved again');
+    ok(movedSpy.calledOnce, 'onItemMoved is not called when undoing or redoing');
+  });
+
+  test('undoing and redoing edits', function() {
+    myGrid.patchItem('mydoc', {name: 'renamed.txt', size: 3});
+    var item = myGrid.getByID('mydoc');
+    item.name = 'edited.txt';
+    triggerSlick(myGrid.grid.onCellChange, {item: item});
+    var operation = myGrid.undo();
+    equal(operation.type, 'patch');
+    deepEqual(operation.previous, {name: 'renamed.txt'});
+    equal(myGrid.getByID('mydoc').name, 'renamed.txt', 'cell edit is undone');
+    myGrid.undo();
+    equal(myGrid.getByID('mydoc').name, 'mydoc.txt', 'patch is undone');
+    isFalse('size' in myGrid.getByID('mydoc'), 'added fields are removed');
+    isFalse('size' in myGrid.getNodeByID('mydoc').data);
+    myGrid.redo();
+    equal(myGrid.getByID('mydoc').size, 3, 'patch is redone');
+    myGrid.expandItem('docs');
+    myGrid.redo();
+    equal(myGrid.getByID('mydoc').name, 'edited.txt', 'expanding is not recorded');
+  });
+
+  test('transactions are undone in one step', function() {
+    var before = ids();
+    myGrid.transaction(function() {
+      this.moveItem('mydoc', 'music');
+      this.moveItem('scripts', 'music');
+      this.patchItem('music', {name: 'Tunes'});
+    });
+    var operation = myGrid.undo();
+    equal(operation.type, 'batch');
+    equal(operation.operations.length, 3);
+    deepEqual(ids(), before, 'all operations are undone');
+    equal(myGrid.getByID('music').name, 'Music');
+    isFalse(myGrid.canUndo());
+    myGrid.redo();
+    equal(myGrid.getNodeByID('music').children.length, 2, 'all operations are redone');
+  });
+
+  test('history limits', function() {
+    myGrid.patchItem('mydoc', {name: 'a'});
+    myGrid.undo();
+    myGrid.patchItem('mydoc', {name: 'b'});
+    isFalse(myGrid.canRedo(), 'new operations clear the redo history');
+    myGrid.options.undoLimit = 2;
+    myGrid.patchItem('mydoc', {name: 'c'});
+    myGrid.patchItem('mydoc', {name: 'd'});
+    myGrid.undo();
+    myGrid.undo();
+    isFalse(myGrid.canUndo(), 'old operations are dropped');
+    equal(myGrid.undo(), null, 'nothing to undo');
+    myGrid.options.undoLimit = 0;
+    myGrid.patchItem('mydoc', {name: 'e'});
+    isFalse(myGrid.canUndo(), 'undoLimit 0 disables undo');
+  });
+
+  test('onUndo and onRedo hooks', function() {
+    var undoSpy = this.spy(), redoSpy = this.spy();
+    myGrid.options.onUndo = undoSpy;
+    myGrid.options.onRedo = redoSpy;
+    myGrid.removeItem('mydoc');
+    var operation = myGrid.undo();
+    ok(undoSpy.calledWith(operation));
+    equal(operation.item.name, 'mydoc.txt', 'operation has the item data');
+    equal(operation.parentID, 'docs');
+    myGrid.redo();
+    ok(redoSpy.calledWith(operation));
+  });
+
+  test('undoing an operation whose item is gone clears the history', function() {
+    myGrid.patchItem('mydoc', {name: 'renamed.txt'});
+    myGrid.tree.remove('mydoc');
+    throws(function() {
+      myGrid.undo();
+    }, HGrid.Error);
+    isFalse(myGrid.canUndo());
+    isFalse(myGrid.canRedo());
+  });
+
+  test('the grid still renders after a failed undo', function() {
+    var added = myGrid.addItem({name: 'new.txt', kind: HGrid.ITEM, parentID: 'music'});
+    myGrid.tree.remove(added.id);
+    throws(function() {
+      myGrid.undo();
+    }, HGrid.Error);
+    var length = myGrid.getDataView().getLength();
+    myGrid.addItem({name: 'other.txt', kind: HGrid.ITEM, parentID: 'music'});
+    equal(myGrid.getDataView().getLength(), length + 1, 'the DataView is updated');
+    containsText('.slick-cell', 'other.txt', 'the row is rendered');
+  });
+
+  test('keyboard shortcuts', function() {
+    this.spy(myGrid, 'undo');
+    this.spy(myGrid, 'redo');
+    var target = myGrid.element.find('.slick-viewport');
+    target.trigger($.Event('keydown', {ctrlKey: true, which: 90}));
+    ok(myGrid.undo.calledOnce, 'Ctrl+Z undoes');
+    target.trigger($.Event('keydown', {ctrlKey: true, which: 89}));
+    target.trigger($.Event('keydown', {metaKey: true, shiftKey: true, which: 90}));
+    ok(myGrid.redo.calledTwice, 'Ctrl+Y and Cmd+Shift+Z redo');
+    target.trigger($.Event('keydown', {which: 90}));
+    ok(myGrid.undo.calledOnce, 'Z alone does nothing');
+  });
+
+  module('Event listeners', {
+    setup: function() {
+      myGrid = getMockGrid();
+    },
+    teardown: function() {
+      myGrid.destroy();
+    }
+  });
+
+  test('options are called before listeners', function() {
+    var calls = [];
+    myGrid.options.onExpand = function(evt, item) {
+      calls.push('option');
+    };
+    var listener = this.spy(function() {
+      calls.push('listener');
+    });
+    var other = this.spy();
+    myGrid.on('expand', listener);
+    myGrid.on('expand', other);
+    var folder = myGrid.getData()[0];
+    myGrid.expandItem(folder);
+    deepEqual(calls, ['option', 'listener']);
+    ok(listener.calledOn(myGrid), 'listener is called with the grid as `this`');
+    equal(listener.args[0][1], folder, 'listener receives the callback arguments');
+    ok(other.calledOnce, 'more than one listener can subscribe');
+  });
+
+  test('off and once', function() {
+    var spy = this.spy(), onceSpy = this.spy();
+    myGrid.on('sort', spy);
+    myGrid.once('sort', onceSpy);
+    var sortArgs = {sortCol: myGrid.grid.getColumns()[0], sortAsc: true};
+    triggerSlick(myGrid.grid.onSort, sortArgs);
+    triggerSlick(myGrid.grid.onSort, sortArgs);
+    ok(onceSpy.calledOnce, 'once listener is called once');
+    ok(spy.calledTwice);
+    myGrid.off('sort', spy);
+    triggerSlick(myGrid.grid.onSort, sortArgs);
+    ok(spy.calledTwice, 'listener is removed');
+    myGrid.on('sort', spy);
+    myGrid.off('sort');
+    triggerSlick(myGrid.grid.onSort, sortArgs);
+    ok(spy.calledTwice, 'all listeners for an event are removed');
+  });
+
+  test('callback options emit events without the "on" prefix', function() {
+    var spies = {};
+    ['itemAdded', 'nodeAdded', 'itemMoved', 'collapse', 'undo'].forEach(function(type) {
+      spies[type] = this.spy();
+      myGrid.on(type, spies[type]);
+    }, this);
+    var folder = myGrid.getData()[0];
+    var added = myGrid.addItem({name: 'new.txt', kind: HGrid.ITEM, parentID: folder.id});
+    ok(spies.itemAdded.calledWith(added));
+    ok(spies.nodeAdded.calledOnce);
+    myGrid.moveItem(added.id, HGrid.ROOT_ID);
+    ok(spies.itemMoved.calledOnce);
+    myGrid.collapseItem(folder);
+    ok(spies.collapse.calledOnce);
+    myGrid.undo();
+    ok(spies.undo.calledOnce);
+  });
+
+  test('Slick events', function() {
+    var calls = [];
+    this.stub(myGrid, 'getItemFromEvent');
+    myGrid.options.onClick = function() {
+      calls.push('option');
+    };
+    myGrid.on('slick:onClick', function(evt, args) {
+      calls.push('slick');
+    });
+    triggerSlick(myGrid.grid.onClick);
+    deepEqual(calls, ['option', 'slick'], 'called after the grid handles the event');
+  });
+
+  test('Dropzone events', function() {
+    var grid = getMockGrid({uploads: true});
+    var spy = this.spy();
+    grid.on('dropzone:thumbnail', spy);
+    grid.dropzone.emit('thumbnail', {name: 'foo.png'}, 'data:');
+    ok(spy.calledWith({name: 'foo.png'}, 'data:'));
+    grid.destroy();
+  });
+
+  test('emit', function() {
+    var spy = this.spy();
+    myGrid.on('custom', spy);
+    myGrid.emit('custom', 1, 2);
+    ok(spy.calledWith(1, 2));
+  });
+
   // FIXME: This test fails every other time it is run in the browser. Not sure why.
   // var lazyserver;
   // module('Lazy loading', {